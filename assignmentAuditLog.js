@@ -0,0 +1,131 @@
+/**
+ * Assignment Audit Log
+ * Durable record of every StyleCode assignment outcome (assigned, skipped, failed, overridden, rolled back)
+ * Stored as an append-only JSON lines file; records are never rewritten
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'audit' });
+
+const DEFAULT_AUDIT_FILE = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'assignment-audit.jsonl');
+
+// YYYY-MM-DD without a time part
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const AUDIT_COLUMNS = [
+  'timestamp',
+  'outcome',
+  'styleId',
+  'oldStyleCode',
+  'newStyleCode',
+  'oldPatternSpecNumber',
+  'newPatternSpecNumber',
+  'sequenceScope',
+  'sequence',
+  'seasonId',
+  'productSubSubCategoryId',
+  'brandCode',
+  'syncedToSearchData',
+  'reason',
+  'error',
+  'client',
+  'requestedBy',
+  'sourceIp',
+  'channel',
+  'jobId'
+];
+
+class AssignmentAuditLog {
+  constructor() {
+    this.filePath = process.env.ASSIGNMENT_AUDIT_FILE || DEFAULT_AUDIT_FILE;
+    this.columns = AUDIT_COLUMNS;
+  }
+
+  /**
+   * Append an audit record
+   * Never throws: a full disk must not fail an assignment that already reached PLM
+   * @param {Object} record - Record fields (see AUDIT_COLUMNS)
+   * @returns {Object|null} Stored record
+   */
+  append(record) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      ...record
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      log.error('Could not write assignment audit record', { styleId: record.styleId, error });
+      return null;
+    }
+  }
+
+  /**
+   * Query audit records, newest first
+   * @param {Object} filters - { styleId, seasonId, productSubSubCategoryId, outcome, from, to, limit }
+   * @returns {Promise<Object>} { total, records }
+   */
+  async query(filters = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { total: 0, records: [] };
+      }
+      throw error;
+    }
+
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    let to = filters.to ? new Date(filters.to).getTime() : null;
+    // A date without a time covers that whole day
+    if (to !== null && DATE_ONLY.test(filters.to)) {
+      to += 24 * 60 * 60 * 1000 - 1;
+    }
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        continue;
+      }
+
+      const time = new Date(record.timestamp).getTime();
+
+      if (filters.styleId && record.styleId !== filters.styleId) continue;
+      if (filters.seasonId && record.seasonId !== filters.seasonId) continue;
+      if (filters.productSubSubCategoryId && record.productSubSubCategoryId !== filters.productSubSubCategoryId) continue;
+      if (filters.outcome && record.outcome !== filters.outcome) continue;
+      if (from !== null && time < from) continue;
+      if (to !== null && time > to) continue;
+
+      records.push(record);
+    }
+
+    records.reverse();
+    const total = records.length;
+
+    return {
+      total,
+      records: filters.limit ? records.slice(0, filters.limit) : records
+    };
+  }
+}
+
+// Create singleton instance
+const assignmentAuditLog = new AssignmentAuditLog();
+
+module.exports = assignmentAuditLog;
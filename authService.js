@@ -0,0 +1,273 @@
+/**
+ * Auth Service
+ * API-key / bearer-token authentication with roles for this service's own endpoints
+ *
+ * Roles:
+ *   caller - assign StyleCodes, preview, read jobs, queue stats, ledger and audits (e.g. the PLM workflow)
+ *   admin  - everything a caller may do, plus queue, token, ledger and rollback management
+ *
+ * Keys are read from (both may be used together):
+ *   API_KEYS       - "name:role:key" entries separated by commas
+ *   API_KEYS_FILE  - JSON file { "keys": [{ "name", "role", "key" | "sha256", "expiresAt"? }] }
+ *                    re-read when it changes, so keys can be added or revoked without a deploy
+ *
+ * Clients send "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * AUTH_DISABLED=true turns authentication off (local development only)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+const ROLES = {
+  caller: 1,
+  admin: 2
+};
+
+const DEFAULT_KEYS_FILE = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'api-keys.json');
+
+// A SHA-256 digest written as hex
+const SHA256_HEX = /^[0-9a-fA-F]{64}$/;
+
+// How often the keys file is checked for changes
+const FILE_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * SHA-256 of a key (hex), so plaintext keys are never kept in memory or required in the file
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+class AuthService {
+  constructor() {
+    this.disabled = process.env.AUTH_DISABLED === 'true';
+    this.filePath = process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE;
+    this.envKeys = [];
+    this.envError = null;
+    try {
+      this.envKeys = this.parseEnvKeys(process.env.API_KEYS || '');
+    } catch (error) {
+      // Reported by validate() at startup
+      this.envError = error;
+    }
+    this.fileKeys = [];
+    this.fileMtime = null;
+    this.lastFileCheck = 0;
+    this.reloadFile();
+  }
+
+  /**
+   * Parse API_KEYS ("name:role:key,name:role:key")
+   * @param {string} value - Env value
+   * @returns {Array<Object>} Keys
+   */
+  parseEnvKeys(value) {
+    return value
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        const key = rest.join(':');
+        if (!name || !ROLES[role] || !key) {
+          throw new Error(`Invalid API_KEYS entry for "${name || '?'}" (expected name:role:key with role ${Object.keys(ROLES).join(' or ')})`);
+        }
+        return { name, role, hash: hashKey(key), expiresAt: null, source: 'API_KEYS' };
+      });
+  }
+
+  /**
+   * Re-read the keys file if it changed
+   * A broken file keeps the previous keys, so a bad edit cannot lock everyone out
+   */
+  reloadFile() {
+    this.lastFileCheck = Date.now();
+
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (this.fileKeys.length > 0) {
+        log.warn('API keys file removed, dropping its keys', { keys: this.fileKeys.length, file: this.filePath });
+      }
+      this.fileKeys = [];
+      this.fileMtime = null;
+      return;
+    }
+
+    if (this.fileMtime === stat.mtimeMs) {
+      return;
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const keys = (raw.keys || []).map(entry => {
+        if (!entry.name || !ROLES[entry.role] || (!entry.key && !entry.sha256)) {
+          throw new Error(`invalid key entry "${entry.name || '?'}" (needs name, role and key or sha256)`);
+        }
+        if (entry.sha256 && !SHA256_HEX.test(entry.sha256)) {
+          throw new Error(`invalid key entry "${entry.name}" (sha256 must be 64 hex characters)`);
+        }
+        return {
+          name: entry.name,
+          role: entry.role,
+          hash: entry.sha256 ? entry.sha256.toLowerCase() : hashKey(entry.key),
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt).getTime() : null,
+          source: path.basename(this.filePath)
+        };
+      });
+
+      this.fileKeys = keys;
+      this.fileMtime = stat.mtimeMs;
+      log.info('API keys loaded', { keys: keys.length, file: this.filePath });
+    } catch (error) {
+      log.error('Could not load API keys file, keeping previous keys', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * All configured keys (file re-checked at most every FILE_CHECK_INTERVAL_MS)
+   * @returns {Array<Object>} Keys
+   */
+  getKeys() {
+    if (Date.now() - this.lastFileCheck > FILE_CHECK_INTERVAL_MS) {
+      this.reloadFile();
+    }
+    return [...this.envKeys, ...this.fileKeys];
+  }
+
+  /**
+   * Refuse to start with a broken API_KEYS value, or with authentication on but no keys
+   * @throws {Error} Describing the problem
+   */
+  validate() {
+    if (this.envError) {
+      throw this.envError;
+    }
+
+    if (!this.disabled && this.getKeys().length === 0) {
+      throw new Error('No API keys configured: set API_KEYS or API_KEYS_FILE (or AUTH_DISABLED=true for local development)');
+    }
+  }
+
+  /**
+   * Find the key matching a presented token
+   * @param {string} token - Presented key
+   * @returns {Object|null} Matching, unexpired key
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const presented = Buffer.from(hashKey(token), 'hex');
+    const now = Date.now();
+
+    return this.getKeys().find(key => {
+      // timingSafeEqual throws on buffers of different lengths
+      const expected = Buffer.from(key.hash, 'hex');
+      return expected.length === presented.length &&
+        crypto.timingSafeEqual(presented, expected) &&
+        (!key.expiresAt || key.expiresAt > now);
+    }) || null;
+  }
+
+  /**
+   * Read the key from Authorization: Bearer or X-API-Key
+   * @param {Object} req - Express request
+   * @param {boolean} allowQueryToken - Also accept ?access_token= (EventSource cannot send headers)
+   * @returns {string|null} Token
+   */
+  extractToken(req, allowQueryToken) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+      return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    if (req.get('X-API-Key')) {
+      return req.get('X-API-Key').trim();
+    }
+
+    if (allowQueryToken && typeof req.query.access_token === 'string') {
+      return req.query.access_token;
+    }
+
+    return null;
+  }
+
+  /**
+   * Express middleware requiring at least the given role
+   * Sets req.auth = { name, role }
+   * @param {string} role - 'caller' or 'admin'
+   * @param {Object} options - { allowQueryToken }
+   * @returns {Function} Middleware
+   */
+  requireRole(role, options = {}) {
+    return (req, res, next) => {
+      if (this.disabled) {
+        req.auth = { name: 'anonymous', role: 'admin' };
+        return next();
+      }
+
+      const token = this.extractToken(req, options.allowQueryToken);
+
+      if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: 'Missing API key (Authorization: Bearer <key> or X-API-Key header)'
+        });
+      }
+
+      const key = this.authenticate(token);
+
+      if (!key) {
+        log.warn('Rejected invalid or expired API key', { method: req.method, path: req.path, ip: req.ip });
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired API key'
+        });
+      }
+
+      if (ROLES[key.role] < ROLES[role]) {
+        log.warn('API key lacks the required role', { client: key.name, role: key.role, requiredRole: role, method: req.method, path: req.path });
+        return res.status(403).json({
+          success: false,
+          error: `Forbidden: requires ${role} role`
+        });
+      }
+
+      req.auth = { name: key.name, role: key.role };
+      next();
+    };
+  }
+
+  /**
+   * Key overview without secrets (for admins)
+   * @returns {Object} Auth status
+   */
+  getInfo() {
+    return {
+      enabled: !this.disabled,
+      keysFile: this.filePath,
+      keys: this.getKeys().map(key => ({
+        name: key.name,
+        role: key.role,
+        source: key.source,
+        expiresAt: key.expiresAt ? new Date(key.expiresAt).toISOString() : null,
+        expired: !!key.expiresAt && key.expiresAt <= Date.now()
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,185 @@
+/**
+ * Config Service
+ * Loads ION API credentials for the active PLM environment profile (TST / PRD)
+ *
+ * Sources, later ones override earlier ones:
+ *   1. .ionapi file  - IONAPI_FILE, IONAPI_FILE_<PROFILE>, or the profile default below
+ *   2. IONAPI_JSON   - full .ionapi file content (convenient as a Heroku config var)
+ *   3. ION_* env     - individual settings (ION_TENANT_ID, ION_CLIENT_SECRET, ...)
+ *
+ * PLM OData and job task URLs are derived from the ION API URL and tenant
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES = {
+  TST: {
+    environment: 'TEST',
+    defaultIonApiFile: 'BackendServisi.ionapi'
+  },
+  PRD: {
+    environment: 'PRODUCTION',
+    defaultIonApiFile: 'BackendServisi_PRD.ionapi'
+  }
+};
+
+// .ionapi key -> config key
+const IONAPI_KEYS = {
+  ti: 'tenantId',
+  cn: 'clientName',
+  ci: 'clientId',
+  cs: 'clientSecret',
+  iu: 'ionApiUrl',
+  pu: 'providerUrl',
+  oa: 'authorizationEndpoint',
+  ot: 'tokenEndpoint',
+  or: 'revokeEndpoint',
+  saak: 'serviceAccountAccessKey',
+  sask: 'serviceAccountSecretKey'
+};
+
+// env variable -> config key
+const ENV_KEYS = {
+  ION_TENANT_ID: 'tenantId',
+  ION_CLIENT_NAME: 'clientName',
+  ION_CLIENT_ID: 'clientId',
+  ION_CLIENT_SECRET: 'clientSecret',
+  ION_API_URL: 'ionApiUrl',
+  ION_PROVIDER_URL: 'providerUrl',
+  ION_AUTHORIZATION_ENDPOINT: 'authorizationEndpoint',
+  ION_TOKEN_ENDPOINT: 'tokenEndpoint',
+  ION_REVOKE_ENDPOINT: 'revokeEndpoint',
+  ION_SERVICE_ACCOUNT_ACCESS_KEY: 'serviceAccountAccessKey',
+  ION_SERVICE_ACCOUNT_SECRET_KEY: 'serviceAccountSecretKey',
+  PLM_ODATA_URL: 'plmBaseUrl',
+  PLM_JOB_TASKS_URL: 'jobTasksUrl'
+};
+
+const REQUIRED_KEYS = [
+  'tenantId',
+  'clientId',
+  'clientSecret',
+  'ionApiUrl',
+  'providerUrl',
+  'serviceAccountAccessKey',
+  'serviceAccountSecretKey'
+];
+
+class ConfigService {
+  constructor() {
+    this.load();
+  }
+
+  /**
+   * Load configuration for the active profile (PLM_ENV, default TST)
+   */
+  load() {
+    this.profile = (process.env.PLM_ENV || 'TST').toUpperCase();
+    this.sources = [];
+
+    const profile = PROFILES[this.profile];
+    const values = {
+      authorizationEndpoint: 'authorization.oauth2',
+      tokenEndpoint: 'token.oauth2',
+      revokeEndpoint: 'revoke_token.oauth2'
+    };
+
+    if (profile) {
+      const ionApiFile = process.env.IONAPI_FILE
+        || process.env[`IONAPI_FILE_${this.profile}`]
+        || path.join(__dirname, profile.defaultIonApiFile);
+
+      if (fs.existsSync(ionApiFile)) {
+        Object.assign(values, this.parseIonApi(fs.readFileSync(ionApiFile, 'utf8'), ionApiFile));
+        this.sources.push(path.basename(ionApiFile));
+      }
+    }
+
+    if (process.env.IONAPI_JSON) {
+      Object.assign(values, this.parseIonApi(process.env.IONAPI_JSON, 'IONAPI_JSON'));
+      this.sources.push('IONAPI_JSON');
+    }
+
+    for (const [envKey, configKey] of Object.entries(ENV_KEYS)) {
+      if (process.env[envKey]) {
+        values[configKey] = process.env[envKey];
+        this.sources.push(envKey);
+      }
+    }
+
+    // Derive PLM endpoints from the tenant
+    if (values.ionApiUrl && values.tenantId) {
+      const tenantUrl = `${values.ionApiUrl.replace(/\/+$/, '')}/${values.tenantId}`;
+      values.plmBaseUrl = values.plmBaseUrl || `${tenantUrl}/FASHIONPLM/odata2/api/odata2`;
+      values.jobTasksUrl = values.jobTasksUrl || `${tenantUrl}/FASHIONPLM/job/api/job/tasks`;
+    }
+
+    this.values = values;
+  }
+
+  /**
+   * Parse .ionapi content into config keys
+   * @param {string} content - .ionapi JSON
+   * @param {string} source - Source name for error messages
+   * @returns {Object} Config values
+   */
+  parseIonApi(content, source) {
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid .ionapi content in ${source}: ${error.message}`);
+    }
+
+    const values = {};
+    for (const [ionKey, configKey] of Object.entries(IONAPI_KEYS)) {
+      if (raw[ionKey]) {
+        values[configKey] = raw[ionKey];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Check that the profile is known and every required setting is present
+   * @throws {Error} Listing everything that is missing
+   */
+  validate() {
+    const problems = [];
+
+    if (!PROFILES[this.profile]) {
+      problems.push(`Unknown PLM_ENV "${this.profile}" (expected ${Object.keys(PROFILES).join(' or ')})`);
+    }
+
+    const missing = REQUIRED_KEYS.filter(key => !this.values[key]);
+    if (missing.length > 0) {
+      problems.push(`Missing required settings: ${missing.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid configuration for profile ${this.profile}: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Get a config value
+   * @param {string} key - Config key
+   * @returns {string|undefined} Value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Environment label of the active profile (e.g. 'TEST')
+   */
+  get environment() {
+    return PROFILES[this.profile] ? PROFILES[this.profile].environment : this.profile;
+  }
+}
+
+// Create singleton instance
+const configService = new ConfigService();
+
+module.exports = configService;
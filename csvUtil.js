@@ -0,0 +1,50 @@
+/**
+ * CSV helpers for report exports
+ */
+
+// Leading characters that make Excel / Sheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV value
+ * Text that a spreadsheet would run as a formula is prefixed with a quote (numbers are left alone)
+ * @param {*} value - Value
+ * @returns {string} Escaped value
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Column names (row keys)
+ * @returns {string} CSV text with header line
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  toCsv,
+  escapeCsvValue
+};
@@ -0,0 +1,237 @@
+/**
+ * Health Service
+ * Liveness and readiness checks for uptime monitors and load balancers
+ * - Liveness: the process is running and its event loop responds (no external calls)
+ * - Readiness: token acquisition, a one-row OData probe, job tasks endpoint reachability,
+ *   the PLM circuit breaker and queue health; every component reports its status and latency
+ *
+ * Probes bypass the circuit breaker: they are sent while it is open and never move it
+ *
+ * Readiness results are cached for HEALTH_READY_CACHE_MS (default 10s) and concurrent checks
+ * share one run, so frequent polling does not add load on ION API
+ */
+
+const configService = require('./configService');
+const tokenService = require('./tokenService');
+const plmClient = require('./plmClient');
+const queueService = require('./queueService');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'health' });
+
+class HealthService {
+  constructor() {
+    this.checkTimeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000', 10);
+    this.cacheMs = parseInt(process.env.HEALTH_READY_CACHE_MS || '10000', 10);
+    this.queueStuckMs = parseInt(process.env.HEALTH_QUEUE_STUCK_MS || `${5 * 60 * 1000}`, 10);
+    this.lastReadiness = null;
+    this.lastCheckedAt = 0;
+    this.inFlight = null;
+  }
+
+  /**
+   * Liveness: answers as long as the process can serve requests
+   * @returns {Object} Liveness report
+   */
+  getLiveness() {
+    return {
+      status: 'alive',
+      uptimeSeconds: Math.round(process.uptime()),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Readiness: checks every dependency (cached briefly)
+   * @returns {Promise<Object>} { ready, status, checkedAt, durationMs, cached, components }
+   */
+  async getReadiness() {
+    if (this.lastReadiness && Date.now() - this.lastCheckedAt < this.cacheMs) {
+      return { ...this.lastReadiness, cached: true };
+    }
+
+    if (!this.inFlight) {
+      this.inFlight = this.checkReadiness().finally(() => {
+        this.inFlight = null;
+      });
+    }
+
+    return this.inFlight;
+  }
+
+  /**
+   * Run all readiness checks in parallel
+   * @returns {Promise<Object>} Readiness report
+   */
+  async checkReadiness() {
+    const startedAt = Date.now();
+
+    const [token, odata, jobTasks, circuit, queue] = await Promise.all([
+      this.runCheck('token', () => this.checkToken()),
+      this.runCheck('odata', () => this.checkOData()),
+      this.runCheck('jobTasks', () => this.checkJobTasks()),
+      this.runCheck('circuit', () => this.checkCircuit()),
+      this.runCheck('queue', () => this.checkQueue())
+    ]);
+
+    const components = { token, odata, jobTasks, circuit, queue };
+    const failing = Object.keys(components).filter(name => components[name].status !== 'up');
+    const ready = failing.length === 0;
+
+    const report = {
+      ready,
+      status: ready ? 'ready' : 'not_ready',
+      checkedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      cached: false,
+      components
+    };
+
+    if (!ready) {
+      log.warn('Readiness check failed', { failing, components });
+    }
+
+    this.lastReadiness = report;
+    this.lastCheckedAt = Date.now();
+    return report;
+  }
+
+  /**
+   * Run one check with a time limit and measure it
+   * @param {string} name - Component name
+   * @param {Function} check - async () => details (throws when the component is down)
+   * @returns {Promise<Object>} { status: 'up'|'down', latencyMs, ...details, error }
+   */
+  async runCheck(name, check) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${this.checkTimeoutMs}ms`)), this.checkTimeoutMs);
+      });
+      const details = await Promise.race([check(), timeout]);
+
+      return { status: 'up', latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+      return {
+        status: 'down',
+        latencyMs: Date.now() - startedAt,
+        ...(error.details || {}),
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * A valid access token is cached or can be fetched
+   */
+  async checkToken() {
+    await tokenService.getAccessToken();
+    const info = tokenService.getTokenInfo();
+
+    return {
+      expiresInSeconds: info.remainingTime ? info.remainingTime.seconds : null
+    };
+  }
+
+  /**
+   * OData answers a one-row query
+   */
+  async checkOData() {
+    await plmClient.request({
+      operation: 'healthOData',
+      method: 'GET',
+      url: `${configService.get('plmBaseUrl')}/STYLE`,
+      params: {
+        $select: 'StyleId',
+        $top: 1
+      },
+      timeoutMs: this.checkTimeoutMs,
+      maxRetries: 0,
+      probe: true
+    });
+
+    return {};
+  }
+
+  /**
+   * The job tasks endpoint answers (HEAD: nothing is created)
+   * Any answer below 500 counts as reachable, except an authorization failure
+   */
+  async checkJobTasks() {
+    try {
+      const response = await plmClient.request({
+        operation: 'healthJobTasks',
+        method: 'HEAD',
+        url: configService.get('jobTasksUrl'),
+        timeoutMs: this.checkTimeoutMs,
+        maxRetries: 0,
+        probe: true
+      });
+      return { httpStatus: response.status };
+    } catch (error) {
+      const status = error.status || null;
+      if (status && status < 500 && status !== 401 && status !== 403) {
+        return { httpStatus: status };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The PLM circuit breaker is not open (state is read, not changed)
+   */
+  async checkCircuit() {
+    const health = plmClient.getHealth();
+    const details = {
+      state: health.state,
+      failures: health.failures,
+      threshold: health.threshold,
+      openedAt: health.openedAt
+    };
+
+    if (!health.healthy) {
+      const error = new Error(`PLM circuit breaker open (retry in ${health.retryInSeconds}s)`);
+      error.details = details;
+      throw error;
+    }
+
+    return details;
+  }
+
+  /**
+   * No task stuck processing and waiting tasks are being picked up
+   */
+  async checkQueue() {
+    const health = queueService.getHealth(this.queueStuckMs);
+    const details = {
+      running: health.running,
+      queued: health.queued,
+      oldestWaitSeconds: Math.round(health.oldestWaitMs / 1000),
+      stuckAfterSeconds: Math.round(this.queueStuckMs / 1000),
+      stuckTasks: health.stuckTasks.map(task => ({
+        identifier: task.identifier,
+        jobId: task.jobId,
+        runningSeconds: Math.round(task.runningMs / 1000)
+      }))
+    };
+
+    if (!health.healthy) {
+      const error = new Error(health.stalled
+        ? `Queue stalled: tasks waiting ${details.oldestWaitSeconds}s with nothing running`
+        : `${health.stuckTasks.length} task(s) processing for more than ${details.stuckAfterSeconds}s`);
+      error.details = details;
+      throw error;
+    }
+
+    return details;
+  }
+}
+
+// Create singleton instance
+const healthService = new HealthService();
+
+module.exports = healthService;
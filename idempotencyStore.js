@@ -0,0 +1,157 @@
+/**
+ * Idempotency Store
+ * Remembers the response sent for each Idempotency-Key so a retried request
+ * gets the original result (or job) instead of a second assignment
+ *
+ * Keys are scoped per API client and expire after IDEMPOTENCY_TTL_MS (default 24h)
+ * Completed entries are written to disk (temp file + rename) so they survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'idempotency' });
+
+const DEFAULT_IDEMPOTENCY_FILE = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'idempotency-keys.json');
+
+class IdempotencyStore {
+  constructor() {
+    this.filePath = process.env.IDEMPOTENCY_FILE || DEFAULT_IDEMPOTENCY_FILE;
+    this.ttlMs = parseInt(process.env.IDEMPOTENCY_TTL_MS || `${24 * 60 * 60 * 1000}`, 10);
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Load completed entries from disk, dropping expired ones
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of raw.entries || []) {
+        this.entries.set(entry.key, entry);
+      }
+      this.prune();
+      log.info('Idempotency keys loaded', { keys: this.entries.size, file: this.filePath });
+    } catch (error) {
+      log.error('Could not load idempotency keys, starting empty', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Write completed entries to disk
+   */
+  save() {
+    const entries = Array.from(this.entries.values())
+      .filter(entry => entry.status === 'completed')
+      .map(({ done, settle, ...entry }) => entry);
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ entries }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error('Could not save idempotency keys', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get an unexpired entry
+   * @param {string} key - Scoped key ("client:Idempotency-Key")
+   * @returns {Object|null} Entry
+   */
+  get(key) {
+    this.prune();
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Start a request under a key
+   * @param {string} key - Scoped key
+   * @param {string} fingerprint - Method, path and body hash of the request
+   * @returns {Object} In-progress entry (entry.done resolves when it completes or is released)
+   */
+  begin(key, fingerprint) {
+    const entry = {
+      key,
+      fingerprint,
+      status: 'in_progress',
+      createdAt: new Date().toISOString(),
+      expiresAt: Date.now() + this.ttlMs
+    };
+    entry.done = new Promise(resolve => { entry.settle = resolve; });
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store the response of a request
+   * @param {string} key - Scoped key
+   * @param {number} statusCode - HTTP status
+   * @param {Object} body - JSON body
+   */
+  complete(key, statusCode, body) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    entry.status = 'completed';
+    entry.statusCode = statusCode;
+    entry.body = body;
+    entry.completedAt = new Date().toISOString();
+    this.save();
+    this.settle(entry);
+  }
+
+  /**
+   * Forget a key so the request can be retried (used for server errors)
+   * @param {string} key - Scoped key
+   */
+  release(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.settle(entry);
+  }
+
+  /**
+   * Wake requests waiting on an in-progress entry
+   * @param {Object} entry - Entry
+   */
+  settle(entry) {
+    const settle = entry.settle;
+    delete entry.settle;
+    delete entry.done;
+    if (settle) {
+      settle();
+    }
+  }
+}
+
+// Create singleton instance
+const idempotencyStore = new IdempotencyStore();
+
+module.exports = idempotencyStore;
@@ -0,0 +1,408 @@
+/**
+ * ION Event Parser
+ * Reads StyleId, the triggering user and the event ID from payloads sent by ION API / ION Connect:
+ *   - JSON event envelopes ({ "data": { "StyleId": 36152 } }, { "document": { ... } }, ...)
+ *   - BOD-style XML (<SyncStyle><ApplicationArea>...</ApplicationArea><DataArea>...</DataArea></SyncStyle>)
+ *
+ * Values are looked up by dot paths, first match wins (comma separated env lists):
+ *   ION_EVENT_STYLE_ID_PATHS, ION_EVENT_USER_PATHS, ION_EVENT_ID_PATHS
+ * XML is turned into plain objects first: namespace prefixes are dropped, the root element is
+ * left out of the path (DataArea.Style.StyleId), attributes are "@name", repeated elements become
+ * arrays (a path step takes the first item unless it is an index) and text next to attributes is "#text".
+ * A string holding XML inside a JSON envelope is parsed when a path steps into it.
+ */
+
+const DEFAULT_STYLE_ID_PATHS = [
+  'StyleId',
+  'styleId',
+  'data.StyleId',
+  'data.styleId',
+  'data.entity.StyleId',
+  'document.StyleId',
+  'document.DataArea.Style.StyleId',
+  'DataArea.Style.StyleId',
+  'DataArea.Style.@StyleId'
+];
+
+const DEFAULT_USER_PATHS = [
+  'requestedBy',
+  'user',
+  'data.user',
+  'data.ModifyUser',
+  'document.DataArea.Style.ModifyUser',
+  'DataArea.Style.ModifyUser'
+];
+
+const DEFAULT_ID_PATHS = [
+  'messageId',
+  'id',
+  'eventId',
+  'documentId',
+  'document.ApplicationArea.BODID',
+  'ApplicationArea.BODID'
+];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+// Markup skipped by the scanner: opening text and the text that ends it
+const XML_SKIPPED = [
+  ['<!--', '-->'],
+  ['<?', '?>'],
+  ['<!DOCTYPE', '>']
+];
+// Deeper documents are refused instead of recursing until the stack runs out
+const XML_MAX_DEPTH = 100;
+// Applied to a single tag's text only, so a pathological document cannot make them backtrack over the whole body
+const XML_TAG_NAME = /^[^\s<>/!?"'=]+/;
+const XML_ATTRIBUTE = /\s+([^\s=/>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+class IonEventError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IonEventError';
+    this.details = details;
+  }
+}
+
+/**
+ * Read a comma separated path list from the environment
+ */
+function pathsFromEnv(name, defaults) {
+  const value = process.env[name];
+  if (!value) {
+    return defaults;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Element or attribute name without its namespace prefix
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.slice(index + 1);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Convert a parsed element to a plain value (string for text-only elements)
+ */
+function elementToValue(element) {
+  const text = element.text.trim();
+  const hasAttributes = Object.keys(element.attributes).length > 0;
+
+  if (element.children.length === 0 && !hasAttributes) {
+    return text;
+  }
+
+  const value = {};
+  for (const [name, attributeValue] of Object.entries(element.attributes)) {
+    value[`@${name}`] = attributeValue;
+  }
+
+  for (const child of element.children) {
+    const childValue = elementToValue(child);
+    if (value[child.name] === undefined) {
+      value[child.name] = childValue;
+    } else if (Array.isArray(value[child.name])) {
+      value[child.name].push(childValue);
+    } else {
+      value[child.name] = [value[child.name], childValue];
+    }
+  }
+
+  if (text) {
+    value['#text'] = text;
+  }
+
+  return value;
+}
+
+/**
+ * Index of the '>' ending a tag that starts at `from`, skipping quoted attribute values
+ * @returns {number} Index, or -1 if the tag is not closed
+ */
+function findTagEnd(source, from) {
+  let index = from;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '>') {
+      return index;
+    }
+    if (char === '"' || char === '\'') {
+      const quoteEnd = source.indexOf(char, index + 1);
+      if (quoteEnd === -1) {
+        return -1;
+      }
+      index = quoteEnd;
+    }
+    index++;
+  }
+
+  return -1;
+}
+
+/**
+ * Parse the text between < and > of an opening tag
+ * @returns {Object} { element, selfClosing }
+ */
+function parseOpeningTag(tag) {
+  const selfClosing = tag.endsWith('/');
+  const content = selfClosing ? tag.slice(0, -1) : tag;
+
+  const nameMatch = XML_TAG_NAME.exec(content);
+  if (!nameMatch) {
+    throw new IonEventError('Malformed XML');
+  }
+
+  const element = { name: localName(nameMatch[0]), attributes: {}, children: [], text: '' };
+  let position = nameMatch[0].length;
+  let attribute;
+
+  XML_ATTRIBUTE.lastIndex = position;
+  while ((attribute = XML_ATTRIBUTE.exec(content)) !== null) {
+    position = XML_ATTRIBUTE.lastIndex;
+    const name = attribute[1];
+    if (name !== 'xmlns' && !name.startsWith('xmlns:')) {
+      element.attributes[localName(name)] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+  }
+
+  if (content.slice(position).trim()) {
+    throw new IonEventError('Malformed XML');
+  }
+
+  return { element, selfClosing };
+}
+
+/**
+ * Parse an XML document (no DTDs, no schema validation)
+ * A single left-to-right scan with indexOf, so the time taken grows linearly with the input
+ * @param {string} xml - XML text
+ * @returns {Object} { name (root element), document (root content) }
+ * @throws {IonEventError} If the document is not well-formed
+ */
+function parseXml(xml) {
+  const source = xml.replace(/^\uFEFF/, '');
+  const stack = [];
+  let root = null;
+  let position = 0;
+
+  const addText = content => {
+    const current = stack[stack.length - 1];
+    if (current) {
+      current.text += content;
+    } else if (content.trim()) {
+      throw new IonEventError('Malformed XML: text outside the root element');
+    }
+  };
+
+  while (position < source.length) {
+    const start = source.indexOf('<', position);
+    if (start === -1) {
+      addText(decodeEntities(source.slice(position)));
+      break;
+    }
+    if (start > position) {
+      addText(decodeEntities(source.slice(position, start)));
+    }
+
+    if (source.startsWith('<![CDATA[', start)) {
+      const end = source.indexOf(']]>', start + 9);
+      if (end === -1) {
+        throw new IonEventError('Malformed XML: CDATA section is not closed');
+      }
+      addText(source.slice(start + 9, end));
+      position = end + 3;
+      continue;
+    }
+
+    const skipped = XML_SKIPPED.find(([open]) => source.startsWith(open, start));
+    if (skipped) {
+      const end = source.indexOf(skipped[1], start + skipped[0].length);
+      if (end === -1) {
+        throw new IonEventError(`Malformed XML: ${skipped[0]} is not closed`);
+      }
+      position = end + skipped[1].length;
+      continue;
+    }
+
+    const end = findTagEnd(source, start + 1);
+    if (end === -1) {
+      throw new IonEventError('Malformed XML: tag is not closed');
+    }
+    const tag = source.slice(start + 1, end);
+    position = end + 1;
+
+    const current = stack[stack.length - 1];
+
+    if (tag.startsWith('/')) {
+      const closingName = tag.slice(1).trim();
+      if (!current || current.name !== localName(closingName)) {
+        throw new IonEventError(`Malformed XML: unexpected </${closingName}>`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (root && stack.length === 0) {
+      throw new IonEventError('Malformed XML: more than one root element');
+    }
+
+    const { element, selfClosing } = parseOpeningTag(tag);
+
+    if (current) {
+      current.children.push(element);
+    } else {
+      root = element;
+    }
+    if (!selfClosing) {
+      if (stack.length >= XML_MAX_DEPTH) {
+        throw new IonEventError(`Malformed XML: elements nested deeper than ${XML_MAX_DEPTH} levels`);
+      }
+      stack.push(element);
+    }
+  }
+
+  if (!root || stack.length > 0) {
+    throw new IonEventError(root ? `Malformed XML: <${stack[stack.length - 1].name}> is not closed` : 'XML document has no root element');
+  }
+
+  return { name: root.name, document: elementToValue(root) };
+}
+
+/**
+ * Follow a dot path through objects, arrays and embedded XML strings
+ * @param {*} value - Document
+ * @param {string} path - e.g. data.StyleId, DataArea.Style.0.StyleId, DataArea.Style.@id
+ * @returns {*} Value, or undefined
+ */
+function getPath(value, path) {
+  let current = value;
+
+  for (const step of path.split('.')) {
+    if (typeof current === 'string' && current.trim().startsWith('<')) {
+      current = parseXml(current).document;
+    }
+
+    if (Array.isArray(current) && !/^\d+$/.test(step)) {
+      current = current[0];
+    }
+
+    if (current === null || typeof current !== 'object') {
+      return undefined;
+    }
+
+    current = current[step];
+  }
+
+  // Element with attributes: use its text
+  if (current && typeof current === 'object' && !Array.isArray(current) && current['#text'] !== undefined) {
+    return current['#text'];
+  }
+
+  return current;
+}
+
+class IonEventParser {
+  constructor() {
+    this.styleIdPaths = pathsFromEnv('ION_EVENT_STYLE_ID_PATHS', DEFAULT_STYLE_ID_PATHS);
+    this.userPaths = pathsFromEnv('ION_EVENT_USER_PATHS', DEFAULT_USER_PATHS);
+    this.idPaths = pathsFromEnv('ION_EVENT_ID_PATHS', DEFAULT_ID_PATHS);
+  }
+
+  /**
+   * First non-empty value found at one of the paths
+   * @param {Object} document - Parsed document
+   * @param {string[]} paths - Paths to try in order
+   * @returns {Object|null} { value, path }
+   */
+  find(document, paths) {
+    for (const path of paths) {
+      let value;
+      try {
+        value = getPath(document, path);
+      } catch (error) {
+        // An embedded string that only looked like XML
+        continue;
+      }
+
+      if ((typeof value === 'string' && value.trim()) || typeof value === 'number') {
+        return { value: typeof value === 'string' ? value.trim() : value, path };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse an incoming event
+   * @param {Object|string} body - Parsed JSON body, or the raw text of an XML / text body
+   * @returns {Object} { format, documentName, eventId, styleIdValue, styleIdPath, requestedBy }
+   * @throws {IonEventError} If the body cannot be read or holds no StyleId
+   */
+  parse(body) {
+    let format;
+    let documentName = null;
+    let document;
+
+    if (typeof body === 'string') {
+      const text = body.trim();
+      if (text.startsWith('<')) {
+        format = 'xml';
+        ({ name: documentName, document } = parseXml(text));
+      } else {
+        format = 'json';
+        try {
+          document = JSON.parse(text);
+        } catch (error) {
+          throw new IonEventError('Body is neither JSON nor XML');
+        }
+      }
+    } else {
+      format = 'json';
+      document = body;
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new IonEventError('Expected a single event document', { format });
+    }
+
+    if (format === 'json') {
+      documentName = document.documentName || document.type || null;
+    }
+
+    const styleId = this.find(document, this.styleIdPaths);
+    if (!styleId) {
+      throw new IonEventError('No StyleId found in the event', { format, documentName, styleIdPaths: this.styleIdPaths });
+    }
+
+    const user = this.find(document, this.userPaths);
+    const eventId = this.find(document, this.idPaths);
+
+    return {
+      format,
+      documentName,
+      eventId: eventId ? String(eventId.value) : null,
+      styleIdValue: styleId.value,
+      styleIdPath: styleId.path,
+      requestedBy: user ? String(user.value) : null
+    };
+  }
+}
+
+// Create singleton instance
+const ionEventParser = new IonEventParser();
+
+module.exports = ionEventParser;
+module.exports.IonEventError = IonEventError;
+module.exports.parseXml = parseXml;
+module.exports.getPath = getPath;
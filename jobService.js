@@ -2,46 +2,145 @@
  * Job Service
  * Manages async job status tracking for Heroku timeout prevention
  * Allows immediate response to client while processing continues
+ * Jobs are persisted through jobStore so they survive dyno restarts
+ * Emits 'statusChanged' (job) on every status transition
+ *
+ * Batch jobs: a parent job with one child job per item (child payload.batchId -> parent id)
+ * An item may reuse a job that is already active; it then lists the batch in linkedBatchIds
+ * The parent moves to processing when a child starts and completes once every child has finished
  */
 
-class JobService {
-  constructor() {
+const EventEmitter = require('events');
+const { createJobStore } = require('./jobStore');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child({ component: 'jobs' });
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+const jobOutcomes = metrics.counter('jobs_finished_total', 'Jobs that reached a final status', { labelNames: ['type', 'status'] });
+const jobDurationSeconds = metrics.histogram('job_duration_seconds', 'Time from job creation to its final status', {
+  labelNames: ['type', 'status']
+});
+
+class JobService extends EventEmitter {
+  /**
+   * @param {Object} store - Job store backend (see jobStore.js)
+   */
+  constructor(store) {
+    super();
+    this.store = store;
     this.jobs = new Map();
-    this.maxJobHistory = 1000; // Keep last 1000 jobs in memory
+    this.maxJobHistory = 1000; // Keep last 1000 jobs
+
+    for (const job of this.store.loadAll()) {
+      this.jobs.set(job.id, job);
+    }
+
+    log.info('Job service initialized', { store: this.store.name, jobs: this.jobs.size });
+
+    metrics.gauge('jobs', 'Jobs currently held, by status', {
+      labelNames: ['type', 'status'],
+      collect: () => this.countByTypeAndStatus()
+    });
+  }
+
+  /**
+   * Persist a job and compact the store journal when it grows too long
+   * @param {Object} job - Job
+   */
+  persist(job) {
+    this.store.save(job);
+
+    if (this.store.journalLines > this.maxJobHistory * 5) {
+      this.store.compact(Array.from(this.jobs.values()));
+    }
   }
 
   /**
    * Create a new job
    * @param {string} type - Job type (e.g., 'stylecode_assignment')
    * @param {Object} payload - Job payload
+   * @param {Object} options - Job options
+   * @param {string} options.callbackUrl - URL to POST the result to when the job finishes
+   * @param {string} options.callbackSecret - Shared secret used to sign the callback (optional)
    * @returns {string} Job ID
    */
-  createJob(type, payload) {
+  createJob(type, payload, options = {}) {
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+    const createdAt = new Date();
+
     const job = {
       id: jobId,
       type,
       payload,
       status: 'pending',
-      createdAt: new Date(),
+      createdAt,
       startedAt: null,
       completedAt: null,
       result: null,
-      error: null
+      error: null,
+      history: [{ status: 'pending', at: createdAt.toISOString() }],
+      webhook: null,
+      // Request that created the job; its task logs under the same ID, also after a restart
+      correlationId: logger.getCorrelationId()
     };
 
+    if (options.callbackUrl) {
+      job.webhook = {
+        url: options.callbackUrl,
+        status: 'waiting',
+        attempts: []
+      };
+      // Kept out of getJob() responses
+      job.callbackSecret = options.callbackSecret || null;
+    }
+
     this.jobs.set(jobId, job);
-    
+    this.persist(job);
+
     // Cleanup old jobs if needed
     if (this.jobs.size > this.maxJobHistory) {
       this.cleanupOldJobs();
     }
 
-    console.log(`📝 Job created: ${jobId} (${type})`);
+    log.info('Job created', { jobId, type });
     return jobId;
   }
 
+  /**
+   * Create a batch: a parent job plus one child job per child payload
+   * @param {string} type - Parent job type (e.g., 'stylecode_batch')
+   * @param {Object} payload - Parent payload (childJobIds is added)
+   * @param {string} childType - Child job type
+   * @param {Array<Object|string>} childPayloads - One payload per child (batchId is added),
+   *   or the ID of an existing job to use as that child
+   * @param {Object} options - Parent job options (callbackUrl, callbackSecret)
+   * @returns {Object} { batchId, childJobIds }
+   */
+  createBatchJob(type, payload, childType, childPayloads, options = {}) {
+    const batchId = this.createJob(type, { ...payload, childJobIds: [] }, options);
+    const batch = this.jobs.get(batchId);
+
+    for (const childPayload of childPayloads) {
+      if (typeof childPayload === 'string') {
+        const child = this.jobs.get(childPayload);
+        child.linkedBatchIds = [...(child.linkedBatchIds || []), batchId];
+        this.persist(child);
+        batch.payload.childJobIds.push(childPayload);
+      } else {
+        batch.payload.childJobIds.push(this.createJob(childType, { ...childPayload, batchId }));
+      }
+    }
+
+    this.persist(batch);
+    // A reused child may be running already
+    this.refreshBatch(batchId);
+    return { batchId, childJobIds: batch.payload.childJobIds };
+  }
+
   /**
    * Update job status
    * @param {string} jobId - Job ID
@@ -51,28 +150,181 @@ class JobService {
   updateJobStatus(jobId, status, data = {}) {
     const job = this.jobs.get(jobId);
     if (!job) {
-      console.warn(`⚠️  Job not found: ${jobId}`);
+      log.warn('Job not found', { jobId });
       return;
     }
 
     job.status = status;
+    job.history.push({ status, at: new Date().toISOString() });
 
     if (status === 'processing' && !job.startedAt) {
       job.startedAt = new Date();
     }
 
-    if (status === 'completed' || status === 'failed') {
+    if (TERMINAL_STATUSES.includes(status)) {
       job.completedAt = new Date();
-      
+      jobOutcomes.inc({ type: job.type, status });
+      jobDurationSeconds.observe({ type: job.type, status }, (job.completedAt - new Date(job.createdAt)) / 1000);
+
       if (status === 'completed') {
         job.result = data.result || null;
       } else {
         job.error = data.error || 'Unknown error';
+        // 'transient' failures are worth resubmitting, 'permanent' ones are not
+        job.errorType = data.errorType || 'permanent';
+        job.errorCategory = data.errorCategory || null;
       }
     }
 
     this.jobs.set(jobId, job);
-    console.log(`📝 Job updated: ${jobId} -> ${status}`);
+    this.persist(job);
+    log.info('Job updated', { jobId, status });
+
+    this.emit('statusChanged', this.getJob(jobId));
+
+    for (const batchId of this.getBatchIds(job)) {
+      this.refreshBatch(batchId);
+    }
+  }
+
+  /**
+   * Batches a job is a child of: the one that created it, then any that reused it
+   * @param {Object} job - Job
+   * @returns {Array<string>} Parent job IDs
+   */
+  getBatchIds(job) {
+    return [job.payload && job.payload.batchId, ...(job.linkedBatchIds || [])].filter(Boolean);
+  }
+
+  /**
+   * Move a batch parent along with its children
+   * @param {string} batchId - Parent job ID
+   */
+  refreshBatch(batchId) {
+    const batch = this.jobs.get(batchId);
+    if (!batch || TERMINAL_STATUSES.includes(batch.status)) {
+      return;
+    }
+
+    const progress = this.getBatchProgress(batch);
+
+    if (progress.completed + progress.failed === progress.total) {
+      this.updateJobStatus(batchId, 'completed', { result: progress });
+    } else if (batch.status === 'pending' && progress.pending < progress.total) {
+      this.updateJobStatus(batchId, 'processing');
+    }
+  }
+
+  /**
+   * Count a batch's children by status
+   * Children missing from the store (should not happen while the parent exists) count as failed
+   * @param {Object} batch - Parent job
+   * @returns {Object} { total, pending, processing, completed, failed }
+   */
+  getBatchProgress(batch) {
+    const progress = { total: 0, pending: 0, processing: 0, completed: 0, failed: 0 };
+
+    for (const childId of batch.payload.childJobIds || []) {
+      const child = this.jobs.get(childId);
+      progress.total++;
+      progress[child ? child.status : 'failed']++;
+    }
+
+    return progress;
+  }
+
+  /**
+   * Get a batch with its progress and child jobs
+   * @param {string} batchId - Parent job ID
+   * @returns {Object|null} Parent job with progress and children, or null if not a batch
+   */
+  getBatch(batchId) {
+    const batch = this.jobs.get(batchId);
+    if (!batch || !Array.isArray(batch.payload && batch.payload.childJobIds)) {
+      return null;
+    }
+
+    return {
+      ...this.getJob(batchId),
+      progress: this.getBatchProgress(batch),
+      children: batch.payload.childJobIds.map(childId => this.getJob(childId) || { id: childId, status: 'failed', error: 'Job no longer available' })
+    };
+  }
+
+  /**
+   * Record a webhook delivery attempt on a job
+   * @param {string} jobId - Job ID
+   * @param {Object} attempt - { at, statusCode, error, durationMs }
+   * @param {string} webhookStatus - 'retrying', 'delivered' or 'failed'
+   * @param {string} nextAttemptAt - ISO time of the next attempt (when retrying)
+   */
+  recordWebhookAttempt(jobId, attempt, webhookStatus, nextAttemptAt = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || !job.webhook) {
+      return;
+    }
+
+    job.webhook.attempts.push(attempt);
+    job.webhook.status = webhookStatus;
+    job.webhook.nextAttemptAt = nextAttemptAt;
+
+    this.persist(job);
+  }
+
+  /**
+   * Mark completed assignments of a style as synced once a retried syncSearchData goes through
+   * @param {number} styleId - Style ID
+   * @returns {number} Jobs updated
+   */
+  markSearchDataSynced(styleId) {
+    let updated = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'completed' && job.result && job.result.styleId === styleId && job.result.syncedToSearchData === false) {
+        job.result.syncedToSearchData = true;
+        job.result.syncRetry = null;
+        job.result.syncedAt = new Date().toISOString();
+        this.persist(job);
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the callback secret of a job (never exposed through getJob)
+   * @param {string} jobId - Job ID
+   * @returns {string|null} Callback secret
+   */
+  getCallbackSecret(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? job.callbackSecret || null : null;
+  }
+
+  /**
+   * Recover jobs that were not finished when the process stopped
+   * Jobs interrupted while processing are put back to pending
+   * @returns {Array<Object>} Jobs to re-enqueue
+   */
+  recoverJobs() {
+    const unfinished = Array.from(this.jobs.values())
+      .filter(job => job.status === 'pending' || job.status === 'processing');
+
+    for (const job of unfinished) {
+      if (job.status === 'processing') {
+        job.status = 'pending';
+        job.startedAt = null;
+        job.history.push({ status: 'pending', at: new Date().toISOString(), note: 'recovered after restart' });
+        this.persist(job);
+      }
+    }
+
+    if (unfinished.length > 0) {
+      log.info('Recovered unfinished jobs', { count: unfinished.length });
+    }
+
+    return unfinished;
   }
 
   /**
@@ -82,7 +334,7 @@ class JobService {
    */
   getJob(jobId) {
     const job = this.jobs.get(jobId);
-    
+
     if (!job) {
       return null;
     }
@@ -94,45 +346,94 @@ class JobService {
       duration = endTime - job.startedAt;
     }
 
+    const { callbackSecret, ...publicJob } = job;
+
     return {
-      ...job,
+      ...publicJob,
       duration: duration ? `${duration}ms` : null
     };
   }
 
+  /**
+   * Find a pending or processing job
+   * @param {string} type - Job type
+   * @param {Function} predicate - Called with the job payload
+   * @returns {Object|null} Job details
+   */
+  findActiveJob(type, predicate) {
+    for (const job of this.jobs.values()) {
+      if (job.type === type && (job.status === 'pending' || job.status === 'processing') && predicate(job.payload)) {
+        return this.getJob(job.id);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the most recent job of a type, whatever its status
+   * @param {string} type - Job type
+   * @param {Function} predicate - Called with the job payload
+   * @returns {Object|null} Job details
+   */
+  findLatestJob(type, predicate) {
+    const jobs = Array.from(this.jobs.values());
+    for (let i = jobs.length - 1; i >= 0; i--) {
+      if (jobs[i].type === type && predicate(jobs[i].payload)) {
+        return this.getJob(jobs[i].id);
+      }
+    }
+    return null;
+  }
+
   /**
    * Get all jobs with optional filter
    * @param {string} status - Filter by status
    * @returns {Array} List of jobs
    */
   getAllJobs(status = null) {
-    const jobs = Array.from(this.jobs.values());
-    
+    const jobs = Array.from(this.jobs.keys()).map(jobId => this.getJob(jobId));
+
     if (status) {
       return jobs.filter(job => job.status === status);
     }
-    
+
     return jobs;
   }
 
   /**
    * Cleanup old completed jobs
+   * Batch children are kept as long as their parent, and removed with it
    */
   cleanupOldJobs() {
     const jobs = Array.from(this.jobs.entries());
-    
+
     // Sort by creation time
     jobs.sort((a, b) => a[1].createdAt - b[1].createdAt);
-    
+
     // Keep only maxJobHistory jobs
     const toRemove = jobs.length - this.maxJobHistory;
     if (toRemove > 0) {
       for (let i = 0; i < toRemove; i++) {
         const [jobId, job] = jobs[i];
-        if (job.status === 'completed' || job.status === 'failed') {
-          this.jobs.delete(jobId);
-          console.log(`🗑️  Cleaned up old job: ${jobId}`);
+        if (!TERMINAL_STATUSES.includes(job.status) || !this.jobs.has(jobId)) {
+          continue;
+        }
+        if (this.getBatchIds(job).some(batchId => this.jobs.has(batchId))) {
+          continue;
+        }
+
+        for (const childId of (job.payload && job.payload.childJobIds) || []) {
+          // Reused children belong to their own request and are cleaned up on their own
+          const child = this.jobs.get(childId);
+          if (child && child.payload && child.payload.batchId !== jobId) {
+            continue;
+          }
+          this.jobs.delete(childId);
+          this.store.delete(childId);
         }
+        this.jobs.delete(jobId);
+        this.store.delete(jobId);
+        log.debug('Cleaned up old job', { jobId });
       }
     }
   }
@@ -143,26 +444,52 @@ class JobService {
    */
   getStats() {
     const jobs = Array.from(this.jobs.values());
-    
+
     return {
       total: jobs.length,
       pending: jobs.filter(j => j.status === 'pending').length,
       processing: jobs.filter(j => j.status === 'processing').length,
       completed: jobs.filter(j => j.status === 'completed').length,
-      failed: jobs.filter(j => j.status === 'failed').length
+      failed: jobs.filter(j => j.status === 'failed').length,
+      store: this.store.name
     };
   }
 
+  /**
+   * Job counts per type and status (every status listed, zeros included)
+   * @returns {Object[]} [{ labels: { type, status }, value }]
+   */
+  countByTypeAndStatus() {
+    const counts = new Map();
+
+    for (const job of this.jobs.values()) {
+      if (!counts.has(job.type)) {
+        counts.set(job.type, Object.fromEntries(JOB_STATUSES.map(status => [status, 0])));
+      }
+      const byStatus = counts.get(job.type);
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    const samples = [];
+    for (const [type, byStatus] of counts) {
+      for (const [status, value] of Object.entries(byStatus)) {
+        samples.push({ labels: { type, status }, value });
+      }
+    }
+    return samples;
+  }
+
   /**
    * Clear all jobs (for testing)
    */
   clear() {
     this.jobs.clear();
-    console.log('🗑️  All jobs cleared');
+    this.store.clear();
+    log.info('All jobs cleared');
   }
 }
 
 // Create singleton instance
-const jobService = new JobService();
+const jobService = new JobService(createJobStore());
 
 module.exports = jobService;
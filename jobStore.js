@@ -0,0 +1,164 @@
+/**
+ * Job Store
+ * Persistence backends for JobService so jobs survive dyno restarts
+ *
+ * Backends (JOB_STORE env):
+ *   file   - append-only JSON lines journal (default)
+ *   memory - no persistence (previous behaviour)
+ *
+ * Every backend implements: loadAll(), save(job), delete(jobId), compact(jobs), clear()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'jobStore' });
+
+const DATE_FIELDS = ['createdAt', 'startedAt', 'completedAt'];
+
+/**
+ * Restore Date fields of a job read from JSON
+ */
+function reviveJob(job) {
+  for (const field of DATE_FIELDS) {
+    if (job[field]) {
+      job[field] = new Date(job[field]);
+    }
+  }
+  return job;
+}
+
+class MemoryJobStore {
+  constructor() {
+    this.name = 'memory';
+    this.journalLines = 0;
+  }
+
+  loadAll() {
+    return [];
+  }
+
+  save() {}
+
+  delete() {}
+
+  compact() {}
+
+  clear() {}
+}
+
+class FileJobStore {
+  /**
+   * @param {string} filePath - Journal file path
+   */
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.journalLines = 0;
+  }
+
+  /**
+   * Replay the journal and compact it
+   * @returns {Array<Object>} Jobs in creation order
+   */
+  loadAll() {
+    if (!fs.existsSync(this.filePath)) {
+      log.info('Job store not found, starting empty', { file: this.filePath });
+      return [];
+    }
+
+    const jobs = new Map();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put') {
+          jobs.set(entry.job.id, entry.job);
+        } else if (entry.op === 'delete') {
+          jobs.delete(entry.id);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        log.warn('Skipping unreadable job store line', { error });
+      }
+    }
+
+    const result = Array.from(jobs.values()).map(reviveJob);
+    this.compact(result);
+
+    log.info('Job store loaded', { jobs: result.length, file: this.filePath });
+    return result;
+  }
+
+  /**
+   * Rewrite the journal with one line per job
+   * @param {Array<Object>} jobs - Current jobs
+   */
+  compact(jobs) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const content = jobs.map(job => JSON.stringify({ op: 'put', job })).join('\n');
+    fs.writeFileSync(tempPath, content ? `${content}\n` : '');
+    fs.renameSync(tempPath, this.filePath);
+
+    this.journalLines = jobs.length;
+  }
+
+  /**
+   * Append a job snapshot
+   * @param {Object} job - Job
+   */
+  save(job) {
+    this.append({ op: 'put', job });
+  }
+
+  /**
+   * Append a job deletion
+   * @param {string} jobId - Job ID
+   */
+  delete(jobId) {
+    this.append({ op: 'delete', id: jobId });
+  }
+
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    this.journalLines++;
+  }
+
+  clear() {
+    this.compact([]);
+  }
+}
+
+/**
+ * Create the configured job store
+ * @returns {MemoryJobStore|FileJobStore}
+ */
+function createJobStore() {
+  const backend = (process.env.JOB_STORE || 'file').toLowerCase();
+
+  if (backend === 'memory') {
+    return new MemoryJobStore();
+  }
+
+  if (backend === 'file') {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    return new FileJobStore(process.env.JOB_STORE_FILE || path.join(dataDir, 'jobs.jsonl'));
+  }
+
+  throw new Error(`Unknown JOB_STORE backend: ${backend} (expected "file" or "memory")`);
+}
+
+module.exports = {
+  createJobStore,
+  MemoryJobStore,
+  FileJobStore
+};
@@ -0,0 +1,202 @@
+/**
+ * Logger
+ * Single-line JSON logs with levels, secret redaction and a per-request correlation ID
+ *
+ * LOG_LEVEL  - debug, info (default), warn, error or silent (nothing, e.g. for tests)
+ * LOG_FORMAT - json (default) or pretty (one readable line per entry, for local development)
+ *
+ * The correlation ID lives in the async context (AsyncLocalStorage): everything done while
+ * handling a request logs that request's ID. Queue tasks and jobs keep the ID of the request
+ * that created them, so their logs can be matched up with it.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /secret|password|^token$|access[-_]?token|refresh[-_]?token|authorization|api[-_]?key|client[-_]?id|access[-_]?key/i;
+
+const REDACTED = '[REDACTED]';
+
+const correlationStorage = new AsyncLocalStorage();
+
+/**
+ * Copy a value for logging: secrets redacted, errors flattened, depth limited
+ * @param {*} value - Value
+ * @param {number} depth - Current depth
+ * @returns {*} Loggable value
+ */
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.response ? { status: value.response.status } : {})
+    };
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= 5) {
+    return '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && typeof item !== 'object'
+      ? REDACTED
+      : sanitize(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Mask bearer tokens and basic credentials that end up inside messages
+ */
+function redactString(text) {
+  return text.replace(/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`);
+}
+
+class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every entry (e.g. { component: 'queue' })
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.level = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+    this.format = (process.env.LOG_FORMAT || 'json').toLowerCase();
+  }
+
+  /**
+   * Logger that adds fields to every entry
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Whether entries of a level are written
+   * @param {string} level - Level name
+   * @returns {boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= this.level;
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write one entry
+   * @param {string} level - Level name
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields (an Error may be passed as fields.error)
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const correlationId = getCorrelationId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(message)),
+      ...sanitize(this.bindings),
+      ...(correlationId ? { correlationId } : {}),
+      ...sanitize(fields)
+    };
+
+    if (level === 'error' && fields.error instanceof Error && fields.error.stack) {
+      entry.stack = redactString(fields.error.stack);
+    }
+
+    const line = this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  /**
+   * Run a function with a correlation ID in the async context
+   * @param {string|null} correlationId - Correlation ID (null runs fn without one)
+   * @param {Function} fn - Function
+   * @returns {*} fn's return value
+   */
+  runWithCorrelationId(correlationId, fn) {
+    return correlationStorage.run({ correlationId: correlationId || null }, fn);
+  }
+
+  /**
+   * Correlation ID of the current async context
+   * @returns {string|null} Correlation ID
+   */
+  getCorrelationId() {
+    return getCorrelationId();
+  }
+}
+
+function getCorrelationId() {
+  const store = correlationStorage.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * "time LEVEL [component] msg key=value ..." for LOG_FORMAT=pretty
+ */
+function formatPretty(entry) {
+  const { time, level, msg, component, correlationId, ...rest } = entry;
+  const extras = Object.entries(rest)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    component ? `[${component}]` : null,
+    correlationId ? `(${correlationId})` : null,
+    msg,
+    extras || null
+  ].filter(Boolean).join(' ');
+}
+
+// Create singleton instance
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.sanitize = sanitize;
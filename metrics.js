@@ -0,0 +1,289 @@
+/**
+ * Metrics
+ * In-process registry of counters, gauges and histograms rendered in the Prometheus
+ * text exposition format (GET /metrics)
+ *
+ * Modules register their metrics when they load and update them as things happen.
+ * Gauges that describe current state (queue depth, token expiry, ...) are read at scrape
+ * time through a collect callback instead of being kept up to date.
+ * Values live in memory: they start from zero on every restart, which Prometheus handles.
+ */
+
+const METRIC_PREFIX = 'stylecode_';
+
+// Seconds; suits HTTP calls and queue tasks that take from milliseconds to a few minutes
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Base class: name, help text and label handling
+ */
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name (without prefix)
+   * @param {string} help - Help text
+   * @param {Object} options - { labelNames, collect, unprefixed (standard process_* names) }
+   */
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = options.unprefixed ? name : `${METRIC_PREFIX}${name}`;
+    this.help = help;
+    this.labelNames = options.labelNames || [];
+    // Optional () => value | [{ labels, value }] read at scrape time
+    this.collect = options.collect || null;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  /**
+   * Series for a label set, created on first use
+   * @param {Object} labels - Label values
+   * @param {Function} create - () => initial series fields
+   * @returns {Object} Series
+   */
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      const normalized = {};
+      this.labelNames.forEach((name, index) => {
+        normalized[name] = values[index];
+      });
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Text format lines for this metric
+   * @returns {string[]} Lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ];
+  }
+
+  /**
+   * Samples from the collect callback (gauges and counters read at scrape time)
+   * @returns {string[]} Lines
+   */
+  renderCollected() {
+    let collected;
+    try {
+      collected = this.collect();
+    } catch (error) {
+      // A failing collector must not break the whole scrape
+      return [];
+    }
+
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    return samples
+      .filter(sample => sample && typeof sample.value === 'number' && !Number.isNaN(sample.value))
+      .map(sample => `${this.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Increment (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSamples() {
+    if (this.collect) {
+      return this.renderCollected();
+    }
+    return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSamples() {
+    if (this.collect) {
+      return this.renderCollected();
+    }
+    return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Object} options - { labelNames, buckets (upper bounds, ascending) }
+   */
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Observe the seconds elapsed since a start time
+   * @param {Object} labels - Label values
+   * @param {number} startedAt - Start time (ms)
+   */
+  observeSince(labels, startedAt) {
+    this.observe(labels, (Date.now() - startedAt) / 1000);
+  }
+
+  renderSamples() {
+    const lines = [];
+
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * Register a metric (registering the same name twice returns the existing one)
+   * @param {Metric} metric - Metric
+   * @returns {Metric} Registered metric
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Name (without prefix)
+   * @param {string} help - Help text
+   * @param {Object} options - { labelNames, collect }
+   * @returns {Counter} Counter
+   */
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  /**
+   * @param {string} name - Name (without prefix)
+   * @param {string} help - Help text
+   * @param {Object} options - { labelNames, collect }
+   * @returns {Gauge} Gauge
+   */
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  /**
+   * @param {string} name - Name (without prefix)
+   * @param {string} help - Help text
+   * @param {Object} options - { labelNames, buckets }
+   * @returns {Histogram} Histogram
+   */
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Create singleton instance
+const metrics = new MetricsRegistry();
+
+// Process metrics (standard names, no prefix)
+metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', {
+  unprefixed: true,
+  collect: () => Math.round(Date.now() / 1000 - process.uptime())
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+  unprefixed: true,
+  collect: () => process.memoryUsage().rss
+});
+
+module.exports = metrics;
@@ -0,0 +1,463 @@
+/**
+ * Mock PLM / ION API Server
+ * Local stand-in for the ION API endpoints this service calls, for offline development and tests
+ * - SSO token endpoint: POST /{tenant}/as/token.oauth2 (password grant) and revoke_token.oauth2
+ * - OData STYLE: GET with $filter (eq joined by and), $select, $expand, $orderby, $top, $skip
+ *   and PATCH STYLE({id}); both need a token issued by the mock
+ * - Job tasks: POST /{tenant}/FASHIONPLM/job/api/job/tasks (tasks are recorded, nothing runs)
+ * - Control endpoints under /__mock to reseed fixtures, read state and inject failures
+ *
+ * Fixtures (see test/fixtures/plm.json): brands, seasons, productSubSubCategories and styles.
+ * A style may carry a PLM temp code that settles after some reads:
+ *   { "StyleCode": "20260202-153117788", "settlesTo": "TW6260004120", "settlesAfterReads": 1 }
+ *
+ * Run standalone: node mockPlmServer.js [fixtures.json] (port MOCK_PLM_PORT, default 4010)
+ * and point the service at it with the ION_* values printed on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, 'test', 'fixtures', 'plm.json');
+
+const DEFAULT_CREDENTIALS = {
+  tenantId: 'MOCK_TST',
+  clientId: 'mock-client',
+  clientSecret: 'mock-secret',
+  serviceAccountAccessKey: 'mock-access-key',
+  serviceAccountSecretKey: 'mock-secret-key'
+};
+
+// Related entities returned by $expand: navigation property -> fixture list and foreign key
+const NAVIGATION = {
+  Brand: { list: 'brands', key: 'BrandId' },
+  Season: { list: 'seasons', key: 'SeasonId' },
+  ProductSubSubCategory: { list: 'productSubSubCategories', key: 'ProductSubSubCategoryId' }
+};
+
+/**
+ * Error answered in the OData error format
+ */
+class ODataError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parse the $filter subset PLMService sends: "Field eq value" clauses joined by "and"
+ * @param {string} filter - $filter expression
+ * @returns {Array<Object>} [{ field, value }]
+ */
+function parseFilter(filter) {
+  if (!filter) {
+    return [];
+  }
+
+  return filter.split(/\s+and\s+/i).map(clause => {
+    const match = clause.trim().match(/^(\w+)\s+eq\s+(.+)$/i);
+    if (!match) {
+      throw new ODataError(400, `Unsupported $filter clause: ${clause}`);
+    }
+
+    const raw = match[2].trim();
+    let value;
+    if (/^'.*'$/.test(raw)) {
+      value = raw.slice(1, -1).replace(/''/g, '\'');
+    } else if (raw === 'null') {
+      value = null;
+    } else if (!Number.isNaN(Number(raw))) {
+      value = Number(raw);
+    } else {
+      throw new ODataError(400, `Unsupported $filter value: ${raw}`);
+    }
+
+    return { field: match[1], value };
+  });
+}
+
+class MockPlmServer {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.fixtures - Fixture data (default: test/fixtures/plm.json)
+   * @param {Object} options.credentials - Accepted credentials (default: DEFAULT_CREDENTIALS)
+   * @param {number} options.tokenExpiresIn - Token lifetime in seconds (default 7200)
+   * @param {number} options.pageSize - Server-side page size cap (see setPaging)
+   * @param {boolean} options.nextLinks - Send @odata.nextLink for capped pages (default true)
+   */
+  constructor(options = {}) {
+    this.credentials = { ...DEFAULT_CREDENTIALS, ...(options.credentials || {}) };
+    this.tokenExpiresIn = options.tokenExpiresIn || 7200;
+    this.setPaging(options.pageSize, { nextLinks: options.nextLinks });
+    this.server = null;
+    this.url = null;
+    this.app = this.createApp();
+    this.reset(options.fixtures);
+  }
+
+  /**
+   * Replace all data with a fresh copy of the fixtures and forget tokens, requests and failures
+   * @param {Object} fixtures - Fixture data (default: test/fixtures/plm.json)
+   */
+  reset(fixtures) {
+    const data = JSON.parse(JSON.stringify(fixtures || JSON.parse(fs.readFileSync(DEFAULT_FIXTURES_FILE, 'utf8'))));
+
+    this.data = {
+      brands: data.brands || [],
+      seasons: data.seasons || [],
+      productSubSubCategories: data.productSubSubCategories || [],
+      styles: new Map((data.styles || []).map(style => [style.StyleId, { IsDeleted: 0, ...style, reads: 0 }]))
+    };
+    this.tokens = new Map(); // access token -> expiry (ms)
+    this.tokensIssued = 0;
+    this.requests = [];
+    this.patches = [];
+    this.tasks = [];
+    this.failures = [];
+    this.latency = {};
+  }
+
+  /**
+   * Base URLs and credentials to configure the service with (ION_* environment variables)
+   * @returns {Object} Environment variables
+   */
+  getServiceEnv() {
+    return {
+      ION_TENANT_ID: this.credentials.tenantId,
+      ION_CLIENT_ID: this.credentials.clientId,
+      ION_CLIENT_SECRET: this.credentials.clientSecret,
+      ION_SERVICE_ACCOUNT_ACCESS_KEY: this.credentials.serviceAccountAccessKey,
+      ION_SERVICE_ACCOUNT_SECRET_KEY: this.credentials.serviceAccountSecretKey,
+      ION_API_URL: this.url,
+      ION_PROVIDER_URL: `${this.url}/${this.credentials.tenantId}/as/`
+    };
+  }
+
+  /**
+   * Current state of a style
+   * @param {number} styleId - Style ID
+   * @returns {Object|null} Style
+   */
+  getStyle(styleId) {
+    const style = this.data.styles.get(Number(styleId));
+    return style ? { ...style } : null;
+  }
+
+  /**
+   * Add or replace a style
+   * @param {Object} style - Style (StyleId, StyleCode, BrandId, SeasonId, ProductSubSubCategoryId, ...)
+   */
+  putStyle(style) {
+    this.data.styles.set(style.StyleId, { IsDeleted: 0, ...style, reads: 0 });
+  }
+
+  /**
+   * Fail the next requests of an operation
+   * @param {string} operation - token, query, patch or tasks
+   * @param {Object} options - { status (default 503), times (default 1), body }
+   */
+  failNext(operation, options = {}) {
+    this.failures.push({
+      operation,
+      status: options.status || 503,
+      remaining: options.times || 1,
+      body: options.body || { error: { code: 'MockFailure', message: `Injected ${operation} failure` } }
+    });
+  }
+
+  /**
+   * Cap the rows a query returns, whatever $top asks for
+   * @param {number} pageSize - Page size cap (null removes it)
+   * @param {Object} options - { nextLinks: send @odata.nextLink for the rest (default true),
+   *   false silently truncates the page like some OData servers do }
+   */
+  setPaging(pageSize, options = {}) {
+    this.pageSize = pageSize || null;
+    this.nextLinks = options.nextLinks !== false;
+  }
+
+  /**
+   * Delay every request of an operation (e.g. to keep queue tasks running)
+   * @param {string} operation - token, query, patch or tasks
+   * @param {number} ms - Delay in milliseconds (0 removes it)
+   */
+  setLatency(operation, ms) {
+    this.latency[operation] = ms;
+  }
+
+  /**
+   * Make every issued token invalid, as if it expired or was revoked on the ION side
+   */
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @returns {Promise<string>} Base URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening (open keep-alive connections are closed too)
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  createApp() {
+    const app = express();
+    const tenant = () => this.credentials.tenantId;
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Control endpoints (no authentication)
+    app.post('/__mock/reset', (req, res) => {
+      this.reset(Object.keys(req.body || {}).length > 0 ? req.body : undefined);
+      res.json({ success: true, styles: this.data.styles.size });
+    });
+
+    app.get('/__mock/state', (req, res) => {
+      res.json({
+        styles: Array.from(this.data.styles.values()),
+        tokensIssued: this.tokensIssued,
+        patches: this.patches,
+        tasks: this.tasks,
+        requests: this.requests.length
+      });
+    });
+
+    app.post('/__mock/failures', (req, res) => {
+      const { operation, status, times } = req.body || {};
+      this.failNext(operation, { status, times });
+      res.json({ success: true, failures: this.failures });
+    });
+
+    app.post('/__mock/expire-tokens', (req, res) => {
+      this.expireTokens();
+      res.json({ success: true });
+    });
+
+    app.post('/:tenant/as/token.oauth2', this.handle('token', (req, res) => {
+      const [clientId, clientSecret] = Buffer.from((req.get('Authorization') || '').replace(/^Basic\s+/i, ''), 'base64')
+        .toString()
+        .split(':');
+
+      if (req.params.tenant !== tenant() || clientId !== this.credentials.clientId || clientSecret !== this.credentials.clientSecret) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+
+      if (req.body.grant_type !== 'password'
+        || req.body.username !== this.credentials.serviceAccountAccessKey
+        || req.body.password !== this.credentials.serviceAccountSecretKey) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+
+      const accessToken = crypto.randomBytes(24).toString('hex');
+      this.tokens.set(accessToken, Date.now() + this.tokenExpiresIn * 1000);
+      this.tokensIssued++;
+
+      res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: this.tokenExpiresIn });
+    }));
+
+    app.post('/:tenant/as/revoke_token.oauth2', this.handle('token', (req, res) => {
+      this.tokens.delete(req.body.token);
+      res.status(200).end();
+    }));
+
+    const odataBase = '/:tenant/FASHIONPLM/odata2/api/odata2';
+
+    app.get(`${odataBase}/STYLE`, this.authorized(), this.handle('query', (req, res) => {
+      res.json(this.queryStyles(req));
+    }));
+
+    app.patch(`${odataBase}/STYLE\\(:styleId\\)`, this.authorized(), this.handle('patch', (req, res) => {
+      const style = this.data.styles.get(Number(req.params.styleId));
+      if (!style || style.IsDeleted) {
+        throw new ODataError(404, `STYLE(${req.params.styleId}) not found`);
+      }
+
+      const changes = {};
+      for (const field of ['StyleCode', 'PatternSpecNumber']) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+      Object.assign(style, changes);
+      this.patches.push({ styleId: style.StyleId, ...changes, at: new Date().toISOString() });
+
+      res.status(204).end();
+    }));
+
+    app.post('/:tenant/FASHIONPLM/job/api/job/tasks', this.authorized(), this.handle('tasks', (req, res) => {
+      if (!req.body || !req.body.TaskId) {
+        throw new ODataError(400, 'TaskId is required');
+      }
+
+      const task = { Id: this.tasks.length + 1, ...req.body, receivedAt: new Date().toISOString() };
+      this.tasks.push(task);
+      res.status(200).json({ Id: task.Id, TaskId: task.TaskId, Status: 'Queued' });
+    }));
+
+    app.all('/:tenant/FASHIONPLM/job/api/job/tasks', (req, res) => {
+      res.status(405).end();
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ error: { code: 'NotFound', message: `No mock for ${req.method} ${req.path}` } });
+    });
+
+    return app;
+  }
+
+  /**
+   * Wrap a route: records the request, applies latency and injected failures, answers errors in OData format
+   */
+  handle(operation, handler) {
+    return async (req, res) => {
+      this.requests.push({ operation, method: req.method, path: req.path, query: { ...req.query }, at: new Date().toISOString() });
+
+      if (this.latency[operation]) {
+        await new Promise(resolve => setTimeout(resolve, this.latency[operation]));
+      }
+
+      const failure = this.failures.find(f => f.operation === operation && f.remaining > 0);
+      if (failure) {
+        failure.remaining--;
+        this.failures = this.failures.filter(f => f.remaining > 0);
+        return res.status(failure.status).json(failure.body);
+      }
+
+      try {
+        handler(req, res);
+      } catch (error) {
+        const status = error instanceof ODataError ? error.status : 500;
+        res.status(status).json({ error: { code: String(status), message: error.message } });
+      }
+    };
+  }
+
+  /**
+   * Bearer token issued by this mock and not expired
+   */
+  authorized() {
+    return (req, res, next) => {
+      if (req.params.tenant !== this.credentials.tenantId) {
+        return res.status(404).json({ error: { code: 'NotFound', message: `Unknown tenant ${req.params.tenant}` } });
+      }
+
+      const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      const expiresAt = this.tokens.get(token);
+      if (!expiresAt || expiresAt < Date.now()) {
+        return res.status(401).json({ error: { code: 'Unauthorized', message: 'Invalid or expired token' } });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Run an OData query against the STYLE fixtures
+   * @param {Object} req - Request
+   * @returns {Object} OData response body
+   */
+  queryStyles(req) {
+    const clauses = parseFilter(req.query.$filter);
+    const rows = Array.from(this.data.styles.values())
+      .filter(style => clauses.every(({ field, value }) => (style[field] === undefined ? null : style[field]) === value));
+
+    // List reads move temp codes along, like PLM finishing its own numbering
+    for (const style of rows) {
+      style.reads++;
+      if (style.settlesTo && style.reads > (style.settlesAfterReads || 0)) {
+        style.StyleCode = style.settlesTo;
+        delete style.settlesTo;
+      }
+    }
+
+    if (req.query.$orderby) {
+      const [field, direction] = req.query.$orderby.trim().split(/\s+/);
+      const sign = direction && direction.toLowerCase() === 'desc' ? -1 : 1;
+      rows.sort((a, b) => (a[field] > b[field] ? sign : a[field] < b[field] ? -sign : 0));
+    }
+
+    const skip = parseInt(req.query.$skip || '0', 10);
+    const top = req.query.$top !== undefined ? parseInt(req.query.$top, 10) : rows.length;
+    const limit = this.pageSize ? Math.min(top, this.pageSize) : top;
+    const page = rows.slice(skip, skip + limit);
+
+    const body = { value: page.map(style => this.project(style, req.query.$select, req.query.$expand)) };
+
+    // Server-driven paging: more rows than the page size allowed within the requested $top
+    if (this.nextLinks && limit < top && skip + limit < rows.length) {
+      const query = new URLSearchParams({ ...req.query, $skip: String(skip + limit), $top: String(top - limit) });
+      body['@odata.nextLink'] = `${this.url}${req.baseUrl}${req.path}?${query.toString()}`;
+    }
+
+    return body;
+  }
+
+  /**
+   * Apply $select and $expand to a style
+   */
+  project(style, select, expand) {
+    const fields = select ? select.split(',').map(field => field.trim()) : Object.keys(style).filter(key => !['reads', 'settlesTo', 'settlesAfterReads'].includes(key));
+    const row = {};
+    for (const field of fields) {
+      row[field] = style[field] === undefined ? null : style[field];
+    }
+
+    // ProductSubSubCategory($select=Id,Code,Name),Season(...) -> navigation property names
+    const navigations = expand ? expand.split(/,(?![^(]*\))/).map(part => part.trim().replace(/\(.*\)$/, '')) : [];
+    for (const name of navigations) {
+      const navigation = NAVIGATION[name];
+      if (!navigation) {
+        throw new ODataError(400, `Unsupported $expand: ${name}`);
+      }
+      const related = this.data[navigation.list].find(item => item.Id === style[navigation.key]);
+      row[name] = related ? { Id: related.Id, Code: related.Code, Name: related.Name } : null;
+    }
+
+    return row;
+  }
+}
+
+// Run standalone
+if (require.main === module) {
+  const fixturesFile = process.argv[2] || DEFAULT_FIXTURES_FILE;
+  const mock = new MockPlmServer({ fixtures: JSON.parse(fs.readFileSync(fixturesFile, 'utf8')) });
+
+  mock.start(parseInt(process.env.MOCK_PLM_PORT || '4010', 10)).then(url => {
+    console.log(`Mock PLM / ION API listening on ${url} (fixtures: ${fixturesFile})`);
+    console.log('Start the service against it with:');
+    for (const [key, value] of Object.entries(mock.getServiceEnv())) {
+      console.log(`  ${key}=${value}`);
+    }
+    console.log('  IONAPI_FILE=none');
+  });
+}
+
+module.exports = MockPlmServer;
+module.exports.parseFilter = parseFilter;
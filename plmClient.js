@@ -0,0 +1,351 @@
+/**
+ * PLM HTTP Client
+ * Shared client for every ION API call made by PLMService
+ * - Timeouts on every request
+ * - Retries with exponential backoff for idempotent calls (honors Retry-After)
+ * - One token refresh + retry when ION API answers 401
+ * - Circuit breaker that fails fast after repeated transient failures
+ * - Errors are classified as transient or permanent (PLMError)
+ */
+
+const axios = require('axios');
+const tokenService = require('./tokenService');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child({ component: 'plmClient' });
+
+// One observation per HTTP attempt, so retries show up in both
+const requestSeconds = metrics.histogram('plm_request_duration_seconds', 'ION API request latency per attempt', {
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30]
+});
+const requestErrors = metrics.counter('plm_request_errors_total', 'Failed ION API request attempts (including circuit breaker rejections)', {
+  labelNames: ['operation', 'category']
+});
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED'];
+
+/**
+ * Error raised for a failed PLM call
+ */
+class PLMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { operation, status, category, transient, attempts, response }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PLMError';
+    this.operation = details.operation || null;
+    this.status = details.status || null;
+    this.category = details.category || 'unknown';
+    this.transient = !!details.transient;
+    this.attempts = details.attempts || 0;
+    // Kept for callers that read error.response.data
+    this.response = details.response || undefined;
+  }
+}
+
+/**
+ * Classify any error as transient (worth retrying later) or permanent
+ * @param {Error} error - Error
+ * @returns {Object} { transient, category, status }
+ */
+function classifyError(error) {
+  if (error instanceof PLMError) {
+    return { transient: error.transient, category: error.category, status: error.status };
+  }
+
+  const status = error && error.response ? error.response.status : null;
+
+  if (status) {
+    if (status === 429) {
+      return { transient: true, category: 'rate_limited', status };
+    }
+    if (status === 401 || status === 403) {
+      return { transient: false, category: 'auth', status };
+    }
+    if (status === 404) {
+      return { transient: false, category: 'not_found', status };
+    }
+    if (RETRYABLE_STATUSES.includes(status)) {
+      return { transient: true, category: 'server', status };
+    }
+    return { transient: false, category: 'client', status };
+  }
+
+  if (error && error.code === 'ECONNABORTED') {
+    return { transient: true, category: 'timeout', status: null };
+  }
+
+  if (error && NETWORK_ERROR_CODES.includes(error.code)) {
+    return { transient: true, category: 'network', status: null };
+  }
+
+  return { transient: false, category: 'unknown', status: null };
+}
+
+class PLMClient {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.PLM_HTTP_TIMEOUT_MS || '20000', 10);
+    this.maxRetries = parseInt(process.env.PLM_HTTP_MAX_RETRIES || '3', 10);
+    this.retryBaseMs = parseInt(process.env.PLM_HTTP_RETRY_BASE_MS || '500', 10);
+    this.retryMaxMs = parseInt(process.env.PLM_HTTP_RETRY_MAX_MS || '10000', 10);
+
+    this.breaker = {
+      state: 'closed', // closed | open | half_open
+      failures: 0,
+      threshold: parseInt(process.env.PLM_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+      cooldownMs: parseInt(process.env.PLM_CIRCUIT_COOLDOWN_MS || '30000', 10),
+      openedAt: null,
+      trialInFlight: false
+    };
+  }
+
+  /**
+   * Send a request to ION API
+   * @param {Object} options - Request options
+   * @param {string} options.operation - Operation name for logs and errors (e.g. 'styleDetails')
+   * @param {string} options.method - HTTP method
+   * @param {string} options.url - URL
+   * @param {Object} options.params - Query parameters
+   * @param {Object} options.data - Request body
+   * @param {boolean} options.idempotent - Safe to retry on transient failures (default: GET only)
+   * @param {number} options.timeoutMs - Timeout for this call (default PLM_HTTP_TIMEOUT_MS)
+   * @param {number} options.maxRetries - Retries for this call (default PLM_HTTP_MAX_RETRIES)
+   * @param {boolean} options.probe - Health probe: sent whatever the circuit breaker state, and its
+   *   outcome does not move the breaker
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const idempotent = options.idempotent !== undefined ? options.idempotent : method === 'GET';
+    const operation = options.operation || `${method} ${options.url}`;
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : this.maxRetries;
+    // Unnamed calls share one label value instead of one per URL
+    const metricLabels = { operation: options.operation || 'other' };
+    const probe = options.probe === true;
+
+    let attempt = 0;
+    let tokenRefreshed = false;
+
+    while (true) {
+      attempt++;
+      if (!probe) {
+        this.beforeRequest(operation, metricLabels);
+      }
+
+      const attemptStartedAt = Date.now();
+      let authHeader = null;
+      try {
+        authHeader = await tokenService.getAuthorizationHeader();
+        const response = await axios.request({
+          method,
+          url: options.url,
+          params: options.params,
+          data: options.data,
+          timeout: options.timeoutMs || this.timeoutMs,
+          headers: {
+            'Authorization': authHeader,
+            'Accept': 'application/json',
+            ...(options.data ? { 'Content-Type': 'application/json' } : {}),
+            ...(options.headers || {})
+          }
+        });
+
+        requestSeconds.observeSince({ ...metricLabels, outcome: 'success' }, attemptStartedAt);
+        if (!probe) {
+          this.recordSuccess();
+        }
+        return response;
+
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const classification = classifyError(error);
+
+        requestSeconds.observeSince({ ...metricLabels, outcome: 'error' }, attemptStartedAt);
+        requestErrors.inc({ ...metricLabels, category: classification.category });
+
+        // Expired / revoked token: refresh once and retry (request was rejected, so safe for any method)
+        // No authHeader means the token request itself failed; that is classified like any other error
+        if (status === 401 && authHeader && !tokenRefreshed) {
+          log.warn('HTTP 401, refreshing token and retrying', { operation });
+          tokenRefreshed = true;
+          tokenService.invalidateToken(authHeader);
+          if (!probe) {
+            this.releaseTrial();
+          }
+          continue;
+        }
+
+        if (!probe) {
+          if (classification.transient) {
+            this.recordFailure(operation);
+          } else {
+            // Permanent errors mean ION API is answering; they do not count against the breaker
+            this.recordSuccess();
+          }
+        }
+
+        // 429 means the request was not processed, so it is safe to retry for any method
+        const retryable = classification.transient && (idempotent || status === 429 || error.code === 'ECONNREFUSED');
+
+        if (retryable && attempt <= maxRetries && this.breaker.state === 'closed') {
+          const delay = this.getRetryDelay(attempt, error.response);
+          log.warn('PLM request failed, retrying', {
+            operation,
+            category: classification.category,
+            status,
+            error,
+            attempt,
+            maxRetries,
+            delayMs: delay
+          });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        throw new PLMError(`${operation} failed: ${error.message}`, {
+          operation,
+          status,
+          category: classification.category,
+          transient: classification.transient,
+          attempts: attempt,
+          response: error.response
+        });
+      }
+    }
+  }
+
+  /**
+   * Fail fast while the circuit is open; let one trial request through after the cooldown
+   * @param {string} operation - Operation name
+   * @param {Object} metricLabels - Labels for the rejection counter
+   */
+  beforeRequest(operation, metricLabels = { operation: 'other' }) {
+    const breaker = this.breaker;
+
+    if (breaker.state === 'open') {
+      const remaining = breaker.openedAt + breaker.cooldownMs - Date.now();
+      if (remaining > 0) {
+        requestErrors.inc({ ...metricLabels, category: 'circuit_open' });
+        throw new PLMError(`${operation} rejected: PLM circuit breaker is open (retry in ${Math.ceil(remaining / 1000)}s)`, {
+          operation,
+          category: 'circuit_open',
+          transient: true
+        });
+      }
+      breaker.state = 'half_open';
+      breaker.trialInFlight = false;
+      log.info('PLM circuit breaker half-open, sending trial request');
+    }
+
+    if (breaker.state === 'half_open') {
+      if (breaker.trialInFlight) {
+        requestErrors.inc({ ...metricLabels, category: 'circuit_open' });
+        throw new PLMError(`${operation} rejected: PLM circuit breaker is half-open (trial request in flight)`, {
+          operation,
+          category: 'circuit_open',
+          transient: true
+        });
+      }
+      breaker.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    const breaker = this.breaker;
+    if (breaker.state !== 'closed') {
+      log.info('PLM circuit breaker closed');
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+  }
+
+  recordFailure(operation) {
+    const breaker = this.breaker;
+    breaker.failures++;
+    breaker.trialInFlight = false;
+
+    if (breaker.state === 'half_open' || breaker.failures >= breaker.threshold) {
+      if (breaker.state !== 'open') {
+        log.error('PLM circuit breaker open', { failures: breaker.failures, lastOperation: operation, cooldownMs: breaker.cooldownMs });
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  releaseTrial() {
+    this.breaker.trialInFlight = false;
+  }
+
+  /**
+   * Delay before the next retry: Retry-After if the server sent one, exponential backoff with jitter otherwise
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Object} response - Axios response (if any)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = response && response.headers ? response.headers['retry-after'] : null;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), this.retryMaxMs);
+      }
+    }
+
+    const backoff = this.retryBaseMs * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.retryBaseMs;
+    return Math.min(backoff + jitter, this.retryMaxMs);
+  }
+
+  /**
+   * Circuit breaker health, read without touching the breaker
+   * @returns {Object} { healthy (false while open), state, failures, threshold, openedAt, cooldownMs, retryInSeconds }
+   */
+  getHealth() {
+    const circuit = this.getCircuitState();
+    const breaker = this.breaker;
+    const remaining = breaker.state === 'open' ? breaker.openedAt + breaker.cooldownMs - Date.now() : 0;
+
+    return {
+      healthy: breaker.state !== 'open',
+      ...circuit,
+      retryInSeconds: remaining > 0 ? Math.ceil(remaining / 1000) : 0
+    };
+  }
+
+  /**
+   * Circuit breaker state (for stats / health)
+   * @returns {Object} Breaker state
+   */
+  getCircuitState() {
+    const breaker = this.breaker;
+    return {
+      state: breaker.state,
+      failures: breaker.failures,
+      threshold: breaker.threshold,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      cooldownMs: breaker.cooldownMs
+    };
+  }
+}
+
+// Create singleton instance
+const plmClient = new PLMClient();
+
+metrics.gauge('plm_circuit_state', 'PLM circuit breaker state (1 for the current state)', {
+  labelNames: ['state'],
+  collect: () => ['closed', 'half_open', 'open'].map(state => ({ labels: { state }, value: plmClient.breaker.state === state ? 1 : 0 }))
+});
+
+module.exports = plmClient;
+module.exports.PLMError = PLMError;
+module.exports.classifyError = classifyError;
@@ -3,12 +3,39 @@
  * Handles StyleCode generation and PLM API interactions
  */
 
-const axios = require('axios');
-const tokenService = require('./tokenService');
+const plmClient = require('./plmClient');
+const configService = require('./configService');
+const templateService = require('./templateService');
+const sequenceLedger = require('./sequenceLedger');
+const assignmentAuditLog = require('./assignmentAuditLog');
+const syncRetryQueue = require('./syncRetryQueue');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'plm' });
+
+// Related entities needed to build a StyleCode
+const STYLE_EXPAND = 'ProductSubSubCategory($select=Id,Code,Name),Season($select=Id,Code,Name),Brand($select=Id,Code,Name)';
+
+// List queries are read page by page; a truncated list would yield a too-low max sequence
+const ODATA_PAGE_SIZE = parseInt(process.env.PLM_ODATA_PAGE_SIZE || '500', 10);
+const ODATA_MAX_PAGES = parseInt(process.env.PLM_ODATA_MAX_PAGES || '200', 10);
+
+// Wait before re-reading similar styles while some still carry PLM temp codes
+const TEMP_CODE_RETRY_MS = parseInt(process.env.PLM_TEMP_CODE_RETRY_MS || '4000', 10);
 
 class PLMService {
-  constructor() {
-    this.baseUrl = 'https://mingle-ionapi.eu1.inforcloudsuite.com/ATJZAMEWEF5P4SNV_TST/FASHIONPLM/odata2/api/odata2';
+  /**
+   * PLM OData base URL (derived from the tenant by configService)
+   */
+  get baseUrl() {
+    return configService.get('plmBaseUrl');
+  }
+
+  /**
+   * PLM job tasks URL (derived from the tenant by configService)
+   */
+  get jobTasksUrl() {
+    return configService.get('jobTasksUrl');
   }
 
   /**
@@ -17,22 +44,19 @@ class PLMService {
    * @returns {Promise<Object>} Style details
    */
   async getStyleDetails(styleId) {
-    const authHeader = await tokenService.getAuthorizationHeader();
-    
     const url = `${this.baseUrl}/STYLE`;
     const params = {
       $select: 'StyleId,StyleCode,PatternSpecNumber',
-      $expand: 'ProductSubSubCategory($select=Id,Code,Name),Season($select=Id,Code,Name),Brand($select=Id,Code,Name)',
+      $expand: STYLE_EXPAND,
       $filter: `StyleId eq ${styleId} and IsDeleted eq 0`
     };
 
-    console.log(`🔍 Fetching style details for StyleId: ${styleId}`);
+    log.debug('Fetching style details', { styleId });
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': authHeader,
-        'Accept': 'application/json'
-      },
+    const response = await plmClient.request({
+      operation: 'styleDetails',
+      method: 'GET',
+      url,
       params
     });
 
@@ -47,167 +71,368 @@ class PLMService {
       throw new Error(`Missing required fields for StyleId ${styleId}: Brand, Season, or ProductSubSubCategory is empty`);
     }
 
-    console.log(`✅ Style details retrieved:`);
-    console.log(`   Brand: ${style.Brand.Code} - ${style.Brand.Name}`);
-    console.log(`   Season: ${style.Season.Code} - ${style.Season.Name}`);
-    console.log(`   SubSubCategory: ${style.ProductSubSubCategory.Code} - ${style.ProductSubSubCategory.Name}`);
-    console.log(`   Current StyleCode: ${style.StyleCode || 'N/A'}`);
+    log.info('Style details retrieved', {
+      styleId,
+      brand: style.Brand.Code,
+      season: style.Season.Code,
+      productSubSubCategory: style.ProductSubSubCategory.Code,
+      styleCode: style.StyleCode || null
+    });
 
     return style;
   }
 
   /**
-   * Validate StyleCode format
-   * Correct format: {Brand[1]}{Season[4]}0{Category[3]}{Sequence[3+]}
-   * Minimum length: 12 characters
+   * Is this a PLM temporary code (timestamp with a hyphen, e.g. "20260202-153117788")?
+   * PLM replaces it with the real code shortly after the style is saved
+   * @param {string} styleCode - StyleCode
+   * @returns {boolean} True for a temp code
+   */
+  isTempStyleCode(styleCode) {
+    return typeof styleCode === 'string' && styleCode.includes('-');
+  }
+
+  /**
+   * Validate StyleCode format against a StyleCode template
+   * Without a template, the code is valid if it matches any configured template
+   * (PLM temp codes such as "20260202-153117788" never match)
    * @param {string} styleCode - StyleCode to validate
+   * @param {Object} template - Compiled template (optional)
    * @returns {boolean} True if valid
    */
-  isValidStyleCode(styleCode) {
+  isValidStyleCode(styleCode, template = null) {
     if (!styleCode || typeof styleCode !== 'string') {
       return false;
     }
 
-    // Must be at least 12 characters (Brand[1] + Season[4] + 0[1] + Category[3] + Sequence[3])
-    if (styleCode.length < 12) {
-      return false;
-    }
+    const templates = template ? [template] : templateService.getAll();
+    return templates.some(t => templateService.matches(t, styleCode));
+  }
 
-    // Must not contain hyphens (PLM temp format: "20260202-153117788")
-    if (styleCode.includes('-')) {
-      return false;
+  /**
+   * Read every page of an OData list query
+   * Follows @odata.nextLink when PLM sends one and pages with $top/$skip otherwise, until a page
+   * comes back empty. A short page does not mean the end (the server may cap pages below the $top
+   * asked for), nor does the end of a nextLink chain ($top caps the whole chain): the next request
+   * skips every row read so far
+   * @param {string} operation - Operation name for logs and errors
+   * @param {string} url - Entity set URL
+   * @param {Object} params - Query parameters ($select, $filter, ...)
+   * @returns {Promise<Object>} { rows, pagesScanned, rowsScanned }
+   */
+  async queryAll(operation, url, params) {
+    const rows = [];
+    let pagesScanned = 0;
+    let nextLink = null;
+
+    while (true) {
+      if (pagesScanned >= ODATA_MAX_PAGES) {
+        // Refuse rather than compute a sequence from a partial list
+        throw new Error(`${operation}: more than ${ODATA_MAX_PAGES} pages of ${ODATA_PAGE_SIZE} rows, refusing to continue with a partial result`);
+      }
+
+      const response = await plmClient.request({
+        operation,
+        method: 'GET',
+        url: nextLink || url,
+        // nextLink already carries the query options
+        params: nextLink ? undefined : { ...params, $orderby: 'StyleId', $top: ODATA_PAGE_SIZE, $skip: rows.length }
+      });
+
+      const page = (response.data && response.data.value) || [];
+      rows.push(...page);
+      pagesScanned++;
+
+      nextLink = response.data ? response.data['@odata.nextLink'] : null;
+      if (!nextLink && page.length === 0) {
+        break;
+      }
     }
 
-    // Basic format check: should start with letter
-    if (!/^[A-Z]/.test(styleCode)) {
-      return false;
+    if (pagesScanned > 1) {
+      log.info('Read multi-page OData result', { operation, rows: rows.length, pages: pagesScanned });
     }
 
-    return true;
+    return { rows, pagesScanned, rowsScanned: rows.length };
   }
 
   /**
-   * Get all styles with same Season and ProductSubSubCategory
-   * Includes retry logic for incomplete StyleCodes
+   * Query non-deleted styles of a Season, optionally narrowed to one ProductSubSubCategory
+   * Shared by getSimilarStyles and the sequence audit
    * @param {number} seasonId - Season ID
-   * @param {number} productSubSubCategoryId - Product Sub Sub Category ID
-   * @param {number} retryCount - Current retry attempt (default: 0)
-   * @returns {Promise<Array>} List of styles with valid StyleCodes
+   * @param {number|null} productSubSubCategoryId - Product Sub Sub Category ID (null for the whole season)
+   * @param {Object} options - Query options
+   * @param {boolean} options.expand - Include Brand, Season and ProductSubSubCategory
+   * @returns {Promise<Object>} { styles, pagesScanned, rowsScanned }
    */
-  async getSimilarStyles(seasonId, productSubSubCategoryId, retryCount = 0) {
-    const authHeader = await tokenService.getAuthorizationHeader();
-    
+  async queryStyles(seasonId, productSubSubCategoryId = null, options = {}) {
+    const filters = [`SeasonId eq ${seasonId}`];
+    if (productSubSubCategoryId) {
+      filters.push(`ProductSubSubCategoryId eq ${productSubSubCategoryId}`);
+    }
+    filters.push('IsDeleted eq 0');
+
     const url = `${this.baseUrl}/STYLE`;
     const params = {
       $select: 'StyleId,StyleCode',
-      $filter: `SeasonId eq ${seasonId} and ProductSubSubCategoryId eq ${productSubSubCategoryId} and IsDeleted eq 0`
+      $filter: filters.join(' and ')
     };
 
-    console.log(`🔍 Fetching similar styles (Attempt ${retryCount + 1}/3):`);
-    console.log(`   SeasonId: ${seasonId}`);
-    console.log(`   ProductSubSubCategoryId: ${productSubSubCategoryId}`);
+    if (options.expand) {
+      params.$expand = STYLE_EXPAND;
+    }
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': authHeader,
-        'Accept': 'application/json'
-      },
-      params
-    });
+    const { rows, pagesScanned, rowsScanned } = await this.queryAll('similarStyles', url, params);
 
-    const styles = response.data.value || [];
+    return { styles: rows, pagesScanned, rowsScanned };
+  }
+
+  /**
+   * Get all styles with same Season and ProductSubSubCategory
+   * Includes retry logic for incomplete StyleCodes
+   * @param {number} seasonId - Season ID
+   * @param {number} productSubSubCategoryId - Product Sub Sub Category ID
+   * @param {number} retryCount - Current retry attempt (default: 0)
+   * @returns {Promise<Object>} { styles, ignored, pagesScanned, rowsScanned } - styles that carry a real StyleCode
+   */
+  async getSimilarStyles(seasonId, productSubSubCategoryId, retryCount = 0) {
+    log.info('Fetching similar styles', { seasonId, productSubSubCategoryId, attempt: retryCount + 1, maxAttempts: 3 });
+
+    const { styles, pagesScanned, rowsScanned } = await this.queryStyles(seasonId, productSubSubCategoryId);
     
-    // Validate StyleCodes
-    const invalidStyles = styles.filter(s => !this.isValidStyleCode(s.StyleCode));
+    // Only PLM temp codes are worth waiting for; legacy or non-template codes never change
+    // and are left to getMaxSequence, which ignores everything outside the scope's template
+    const tempStyles = styles.filter(s => this.isTempStyleCode(s.StyleCode));
     
-    if (invalidStyles.length > 0 && retryCount < 2) {
-      console.log(`⚠️  Found ${invalidStyles.length} styles with incomplete StyleCodes:`);
-      invalidStyles.forEach(s => {
-        console.log(`   - StyleId: ${s.StyleId}, StyleCode: ${s.StyleCode || 'null'}`);
+    if (tempStyles.length > 0 && retryCount < 2) {
+      log.warn('Found styles with PLM temp codes, retrying', {
+        count: tempStyles.length,
+        retryInMs: TEMP_CODE_RETRY_MS,
+        styles: tempStyles.slice(0, 20).map(s => ({ StyleId: s.StyleId, StyleCode: s.StyleCode }))
       });
-      console.log(`   Waiting 4 seconds before retry...`);
-      
-      // Wait 4 seconds and retry
-      await new Promise(resolve => setTimeout(resolve, 4000));
+
+      // Wait and retry
+      await new Promise(resolve => setTimeout(resolve, TEMP_CODE_RETRY_MS));
       return await this.getSimilarStyles(seasonId, productSubSubCategoryId, retryCount + 1);
     }
 
-    // Filter out invalid StyleCodes
-    const validStyles = styles.filter(s => this.isValidStyleCode(s.StyleCode));
-    const filteredCount = styles.length - validStyles.length;
+    // Filter out styles without a code and temp codes that did not settle
+    const validStyles = styles.filter(s => s.StyleCode && !this.isTempStyleCode(s.StyleCode));
 
-    if (filteredCount > 0) {
-      console.log(`⚠️  Filtered out ${filteredCount} styles with invalid StyleCodes after 3 attempts`);
+    if (tempStyles.length > 0) {
+      log.warn('Ignoring PLM temp codes still present after 3 attempts', { count: tempStyles.length });
     }
 
-    console.log(`✅ Found ${validStyles.length} similar styles with valid StyleCodes`);
+    const ignored = styles
+      .filter(s => !s.StyleCode || this.isTempStyleCode(s.StyleCode))
+      .map(s => ({
+        StyleId: s.StyleId,
+        StyleCode: s.StyleCode || null,
+        reason: s.StyleCode ? 'PLM temp code not replaced yet' : 'No StyleCode'
+      }));
+
+    log.info('Found similar styles', { seasonId, productSubSubCategoryId, validStyles: validStyles.length, rowsScanned, pagesScanned });
 
-    return validStyles;
+    return { styles: validStyles, ignored, pagesScanned, rowsScanned };
   }
 
   /**
-   * Generate StyleCode based on business rules
-   * Format: {Brand.Code[0]}{Season.Name[0:4]}0{ProductSubSubCategory.Code[0:3]}{SequenceNumber}
+   * Get the sequence scope of a style
+   * Sequences are numbered per Season + ProductSubSubCategory + exact code prefix,
+   * so brands sharing a Season and category never share a counter
    * @param {Object} style - Style object
-   * @param {Array} similarStyles - Similar styles to determine next sequence
-   * @returns {Object} Generated StyleCode and PatternSpecNumber, or null if update not needed
+   * @returns {Object} Scope with key, seasonId, productSubSubCategoryId, templateId, pattern, prefix and suffix
    */
-  generateStyleCode(style, similarStyles) {
-    const brandChar = style.Brand.Code.charAt(0).toUpperCase();
-    const seasonCode = style.Season.Name.substring(0, 4).toUpperCase();
-    const categoryCode = style.ProductSubSubCategory.Code.substring(0, 3);
-    const fixedZero = '0';
-
-    console.log(`\n🔢 Generating StyleCode:`);
-    console.log(`   Brand char: ${brandChar}`);
-    console.log(`   Season code: ${seasonCode}`);
-    console.log(`   Category code: ${categoryCode}`);
-
-    // Find the maximum sequence number from similar styles
+  getSequenceScope(style) {
+    const template = templateService.resolve(style);
+    const { prefix, suffix } = templateService.getAffixes(template, style);
+    const pattern = templateService.describeExpected(template, style);
+
+    return {
+      key: `${style.Season.Id}:${style.ProductSubSubCategory.Id}:${pattern}`,
+      seasonId: style.Season.Id,
+      productSubSubCategoryId: style.ProductSubSubCategory.Id,
+      templateId: template.id,
+      pattern,
+      prefix,
+      suffix
+    };
+  }
+
+  /**
+   * Resolve the queue partition key for a style (its sequence scope)
+   * Tasks sharing a sequence scope must run one at a time
+   * @param {number} styleId - Style ID
+   * @returns {Promise<string>} Partition key
+   */
+  async getPartitionKey(styleId) {
+    const style = await this.getStyleDetails(styleId);
+    return this.getSequenceScope(style).key;
+  }
+
+  /**
+   * Find the maximum sequence number among similar styles
+   * Only codes with the scope's exact prefix and suffix count; everything else is ignored
+   * @param {Object} scope - Sequence scope (templateId, pattern, prefix, suffix)
+   * @param {Array} similarStyles - Similar styles
+   * @returns {Object} { maxSequence (0 if none), ignored: [{ StyleId, StyleCode, reason }] }
+   */
+  getMaxSequence(scope, similarStyles) {
+    const template = templateService.getById(scope.templateId);
+    if (!template) {
+      throw new Error(`StyleCode template no longer configured: ${scope.templateId}`);
+    }
+
+    const regex = templateService.buildAffixRegex(template, scope);
     let maxSequence = 0;
+    const ignored = [];
 
     for (const similarStyle of similarStyles) {
-      if (similarStyle.StyleCode && similarStyle.StyleCode.length >= 3) {
-        // Extract last 3 digits
-        const lastThree = similarStyle.StyleCode.slice(-3);
-        const sequenceNum = parseInt(lastThree, 10);
-        
-        if (!isNaN(sequenceNum) && sequenceNum > maxSequence) {
-          maxSequence = sequenceNum;
-          console.log(`   Found sequence: ${sequenceNum} in StyleCode: ${similarStyle.StyleCode}`);
-        }
+      const match = typeof similarStyle.StyleCode === 'string' ? similarStyle.StyleCode.match(regex) : null;
+
+      if (!match) {
+        ignored.push({
+          StyleId: similarStyle.StyleId,
+          StyleCode: similarStyle.StyleCode || null,
+          reason: templateService.matches(template, similarStyle.StyleCode)
+            ? `Different prefix (expected ${scope.pattern})`
+            : `Does not match StyleCode template ${template.name}`
+        });
+        continue;
       }
+
+      const sequenceNum = parseInt(match[1], 10);
+      if (sequenceNum > maxSequence) {
+        maxSequence = sequenceNum;
+        log.debug('Found higher sequence', { sequence: sequenceNum, styleCode: similarStyle.StyleCode });
+      }
+    }
+
+    if (ignored.length > 0) {
+      log.info('Ignored StyleCodes outside the scope', { count: ignored.length, pattern: scope.pattern });
     }
 
-    // Check if current style already has the maximum sequence
-    if (style.StyleCode && style.StyleCode.length >= 3) {
-      const currentLastThree = style.StyleCode.slice(-3);
-      const currentSequence = parseInt(currentLastThree, 10);
-      
-      if (!isNaN(currentSequence) && currentSequence === maxSequence) {
-        console.log(`\n✅ Style already has maximum sequence number: ${currentSequence}`);
-        console.log(`   Current StyleCode: ${style.StyleCode}`);
-        console.log(`   ⏭️  Skipping update - no need to consume new sequence number`);
-        return null; // No update needed
+    return { maxSequence, ignored };
+  }
+
+  /**
+   * Get the last issued sequence for a style's scope from the ledger
+   * Seeds the scope from PLM on first use
+   * @param {Object} style - Style object
+   * @returns {Promise<Object>} { scope, entry, similarStyles, scan, ignoredStyles } (all but scope and entry null unless seeded now)
+   */
+  async getLastSequence(style) {
+    const scope = this.getSequenceScope(style);
+    const existing = sequenceLedger.get(scope.key);
+
+    if (existing) {
+      log.debug('Ledger sequence found', { scope: scope.key, lastSequence: existing.lastSequence });
+      return { scope, entry: existing, similarStyles: null, scan: null, ignoredStyles: null };
+    }
+
+    log.info('Ledger has no entry for scope, seeding from PLM', { scope: scope.key });
+    const similar = await this.getSimilarStyles(scope.seasonId, scope.productSubSubCategoryId);
+    const { maxSequence, ignored } = this.getMaxSequence(scope, similar.styles);
+
+    const entry = sequenceLedger.seed(scope.key, maxSequence, {
+      seasonId: scope.seasonId,
+      productSubSubCategoryId: scope.productSubSubCategoryId,
+      templateId: scope.templateId,
+      pattern: scope.pattern,
+      prefix: scope.prefix,
+      suffix: scope.suffix
+    });
+
+    return {
+      scope,
+      entry,
+      similarStyles: similar.styles,
+      scan: { pagesScanned: similar.pagesScanned, rowsScanned: similar.rowsScanned },
+      ignoredStyles: [...similar.ignored, ...ignored]
+    };
+  }
+
+  /**
+   * Reconcile every ledger scope against PLM
+   * Raises scopes where PLM holds codes issued outside this service
+   * @returns {Promise<Array>} Reconciliation results
+   */
+  async reconcileSequenceLedger() {
+    const entries = sequenceLedger.getAll();
+    const results = [];
+
+    log.info('Reconciling sequence ledger', { scopes: entries.length });
+
+    for (const entry of entries) {
+      try {
+        if (entry.prefix === undefined) {
+          // Scopes keyed by template only predate prefix scoping; new assignments seed prefix scopes instead
+          results.push({ scope: entry.scope, skipped: true, reason: 'Legacy scope without a code prefix' });
+          continue;
+        }
+
+        const { styles: similarStyles, pagesScanned, rowsScanned } = await this.getSimilarStyles(entry.seasonId, entry.productSubSubCategoryId);
+        const { maxSequence, ignored } = this.getMaxSequence(entry, similarStyles);
+        results.push({
+          ...sequenceLedger.reconcile(entry.scope, maxSequence),
+          pagesScanned,
+          rowsScanned,
+          ignoredCount: ignored.length
+        });
+      } catch (error) {
+        log.error('Ledger reconciliation failed', { scope: entry.scope, error });
+        results.push({ scope: entry.scope, error: error.message });
       }
     }
 
+    const driftCount = results.filter(r => r.drift).length;
+    log.info('Ledger reconciliation completed', { scopes: results.length, raised: driftCount });
+
+    return results;
+  }
+
+  /**
+   * Generate StyleCode based on the style's StyleCode template
+   * Default format: {Brand.Code[0]}{Season.Name[0:4]}0{ProductSubSubCategory.Code[0:3]}{SequenceNumber}
+   * @param {Object} style - Style object
+   * @param {number} maxSequence - Last issued sequence in the style's scope
+   * @returns {Object} Generated StyleCode, PatternSpecNumber and sequence, or null if update not needed
+   */
+  generateStyleCode(style, maxSequence) {
+    const template = templateService.resolve(style);
+
+    // Check if current style already has the maximum sequence (only counts with the same prefix)
+    const currentMatch = style.StyleCode ? style.StyleCode.match(templateService.buildStyleRegex(template, style)) : null;
+    const currentSequence = currentMatch ? parseInt(currentMatch[1], 10) : null;
+
+    if (currentSequence !== null && currentSequence === maxSequence) {
+      log.info('Style already has the maximum sequence number, skipping', {
+        styleId: style.StyleId,
+        styleCode: style.StyleCode,
+        sequence: currentSequence
+      });
+      return null; // No update needed
+    }
+
     // Next sequence number
     const nextSequence = maxSequence + 1;
-    const sequenceStr = nextSequence.toString().padStart(3, '0');
 
-    const styleCode = `${brandChar}${seasonCode}${fixedZero}${categoryCode}${sequenceStr}`;
+    const styleCode = templateService.format(template, style, nextSequence);
     const patternSpecNumber = styleCode; // Same as StyleCode per requirements
 
-    console.log(`\n✅ Generated:`);
-    console.log(`   Max existing sequence: ${maxSequence}`);
-    console.log(`   Next sequence: ${nextSequence}`);
-    console.log(`   StyleCode: ${styleCode}`);
-    console.log(`   PatternSpecNumber: ${patternSpecNumber}`);
+    log.info('StyleCode generated', {
+      styleId: style.StyleId,
+      template: template.name,
+      maxSequence,
+      sequence: nextSequence,
+      styleCode
+    });
 
     return {
       StyleCode: styleCode,
-      PatternSpecNumber: patternSpecNumber
+      PatternSpecNumber: patternSpecNumber,
+      sequence: nextSequence,
+      template: template.name
     };
   }
 
@@ -219,44 +444,40 @@ class PLMService {
    * @returns {Promise<boolean>} Success status
    */
   async updateStyle(styleId, styleCode, patternSpecNumber) {
-    const authHeader = await tokenService.getAuthorizationHeader();
-    
     const url = `${this.baseUrl}/STYLE(${styleId})`;
     const payload = {
       StyleCode: styleCode,
       PatternSpecNumber: patternSpecNumber
     };
 
-    console.log(`\n📝 Updating style ${styleId}:`);
-    console.log(`   URL: ${url}`);
-    console.log(`   Payload:`, JSON.stringify(payload, null, 2));
+    log.debug('Updating style', { styleId, url, payload });
 
-    const response = await axios.patch(url, payload, {
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
+    const response = await plmClient.request({
+      operation: 'patch',
+      method: 'PATCH',
+      url,
+      data: payload,
+      // Sets absolute values, so repeating it after a timeout is safe
+      idempotent: true
     });
 
     if (response.status === 204) {
-      console.log(`✅ Style updated successfully (HTTP 204)`);
+      log.info('Style updated', { styleId, styleCode });
       return true;
     } else {
-      console.log(`⚠️  Unexpected response status: ${response.status}`);
+      log.warn('Unexpected response status for style update', { styleId, status: response.status });
       return false;
     }
   }
 
   /**
-   * Sync style to search data (PLM Sync API)
+   * Send the syncSearchData task for a style (PLM Sync API)
    * @param {number} styleId - Style ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<void>}
+   * @throws {Error} If PLM rejects the task
    */
-  async syncToSearchData(styleId) {
-    const authHeader = await tokenService.getAuthorizationHeader();
-    
-    const url = 'https://mingle-ionapi.eu1.inforcloudsuite.com/ATJZAMEWEF5P4SNV_TST/FASHIONPLM/job/api/job/tasks';
+  async sendSyncTask(styleId) {
+    const url = this.jobTasksUrl;
     const payload = {
       TaskId: 'syncSearchData',
       IsSystem: true,
@@ -281,56 +502,153 @@ class PLMService {
       Sequence: 1
     };
 
-    console.log(`\n🔄 Syncing style ${styleId} to search data:`);
-    console.log(`   URL: ${url}`);
-    console.log(`   Payload:`, JSON.stringify(payload, null, 2));
+    log.debug('Syncing style to search data', { styleId, url, payload });
 
-    try {
-      const response = await axios.post(url, payload, {
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      });
+    const response = await plmClient.request({
+      operation: 'sync',
+      method: 'POST',
+      url,
+      data: payload
+    });
+
+    log.info('Sync task created', { styleId, status: response.status, response: response.data });
+  }
 
-      console.log(`✅ Sync task created successfully (HTTP ${response.status})`);
-      console.log(`   Response:`, JSON.stringify(response.data, null, 2));
+  /**
+   * Sync style to search data after a StyleCode change
+   * A failure does not fail the change: the style goes to the sync retry queue instead
+   * @param {number} styleId - Style ID
+   * @param {Object} details - { styleCode, source } kept with a queued retry
+   * @returns {Promise<boolean>} Success status
+   */
+  async syncToSearchData(styleId, details = {}) {
+    try {
+      await this.sendSyncTask(styleId);
+      // Supersedes a retry still queued from an earlier change
+      syncRetryQueue.resolve(styleId);
       return true;
     } catch (error) {
-      console.error(`⚠️  Sync task failed (non-critical):`, error.message);
-      if (error.response) {
-        console.error(`   Response status: ${error.response.status}`);
-        console.error(`   Response data:`, JSON.stringify(error.response.data, null, 2));
-      }
-      // Don't throw error - sync is optional
+      log.warn('Sync task failed (non-critical)', {
+        styleId,
+        error,
+        responseData: error.response ? error.response.data : null
+      });
+      syncRetryQueue.add(styleId, { ...details, error });
       return false;
     }
   }
 
+  /**
+   * Retry state of a style whose sync failed, for assignment results
+   * @param {number} styleId - Style ID
+   * @returns {Object|null} { status, attempts, nextAttemptAt }
+   */
+  getSyncRetry(styleId) {
+    const entry = syncRetryQueue.get(styleId);
+    return entry ? { status: entry.status, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt } : null;
+  }
+
+  /**
+   * Preview the StyleCode a style would get, without updating PLM
+   * Nothing is written: no PATCH, no search sync, no ledger seeding
+   * @param {number} styleId - Style ID
+   * @returns {Promise<Object>} Proposed code, sequences and the styles considered
+   */
+  async previewStyleCode(styleId) {
+    log.info('Previewing StyleCode', { styleId });
+
+    const style = await this.getStyleDetails(styleId);
+    const template = templateService.resolve(style);
+    const scope = this.getSequenceScope(style);
+
+    const similar = await this.getSimilarStyles(scope.seasonId, scope.productSubSubCategoryId);
+    const { maxSequence: plmMaxSequence, ignored } = this.getMaxSequence(scope, similar.styles);
+    const sequenceRegex = templateService.buildAffixRegex(template, scope);
+
+    // A real assignment uses the ledger once the scope is seeded, PLM otherwise
+    const ledgerEntry = sequenceLedger.get(scope.key);
+    const maxSequence = ledgerEntry ? ledgerEntry.lastSequence : plmMaxSequence;
+
+    const generated = this.generateStyleCode(style, maxSequence);
+
+    return {
+      styleId,
+      currentStyleCode: style.StyleCode,
+      proposedStyleCode: generated ? generated.StyleCode : null,
+      proposedPatternSpecNumber: generated ? generated.PatternSpecNumber : null,
+      wouldSkip: !generated,
+      reason: generated ? null : 'Style already has maximum sequence number',
+      maxSequence,
+      plmMaxSequence,
+      ledgerSequence: ledgerEntry ? ledgerEntry.lastSequence : null,
+      sequenceScope: scope.key,
+      styleCodeTemplate: template.name,
+      brand: style.Brand,
+      season: style.Season,
+      productSubSubCategory: style.ProductSubSubCategory,
+      expectedPattern: scope.pattern,
+      similarStylesCount: similar.styles.length,
+      pagesScanned: similar.pagesScanned,
+      rowsScanned: similar.rowsScanned,
+      consideredStyles: similar.styles
+        .filter(s => sequenceRegex.test(s.StyleCode))
+        .map(s => ({
+          StyleId: s.StyleId,
+          StyleCode: s.StyleCode,
+          sequence: parseInt(s.StyleCode.match(sequenceRegex)[1], 10)
+        })),
+      ignoredStyles: [...similar.ignored, ...ignored]
+    };
+  }
+
+  /**
+   * Audit record fields describing a style and its scope
+   * @param {number} styleId - Style ID
+   * @param {Object|null} style - Style (null if it could not be read)
+   * @param {Object|null} scope - Sequence scope
+   * @param {Object} context - { client, requestedBy, sourceIp, channel, jobId }
+   * @returns {Object} Audit record fields
+   */
+  buildAuditRecord(styleId, style, scope, context) {
+    return {
+      styleId,
+      seasonId: style ? style.Season.Id : null,
+      productSubSubCategoryId: style ? style.ProductSubSubCategory.Id : null,
+      brandCode: style ? style.Brand.Code : null,
+      sequenceScope: scope ? scope.key : null,
+      client: context.client || null,
+      requestedBy: context.requestedBy || null,
+      sourceIp: context.sourceIp || null,
+      channel: context.channel || null,
+      jobId: context.jobId || null
+    };
+  }
+
   /**
    * Process StyleCode assignment for a style
    * This is the main orchestration method
+   * Every outcome (assigned, skipped, failed) is written to the assignment audit log
    * @param {number} styleId - Style ID
+   * @param {Object} context - Who asked: { client, requestedBy, sourceIp, channel, jobId }
    * @returns {Promise<Object>} Result with StyleCode details
    */
-  async processStyleCodeAssignment(styleId) {
-    console.log(`\n${'═'.repeat(70)}`);
-    console.log(`🎯 Processing StyleCode Assignment for StyleId: ${styleId}`);
-    console.log(`${'═'.repeat(70)}`);
+  async processStyleCodeAssignment(styleId, context = {}) {
+    log.info('Processing StyleCode assignment', { styleId, channel: context.channel || null, jobId: context.jobId || null });
+
+    let style = null;
+    let scope = null;
 
     try {
       // Step 1: Get style details
-      const style = await this.getStyleDetails(styleId);
+      style = await this.getStyleDetails(styleId);
 
-      // Step 2: Get similar styles
-      const similarStyles = await this.getSimilarStyles(
-        style.Season.Id,
-        style.ProductSubSubCategory.Id
-      );
+      // Step 2: Get last issued sequence (ledger, seeded from PLM on first use)
+      const lastSequence = await this.getLastSequence(style);
+      const { entry, similarStyles, scan, ignoredStyles } = lastSequence;
+      scope = lastSequence.scope;
 
       // Step 3: Generate StyleCode
-      const generated = this.generateStyleCode(style, similarStyles);
+      const generated = this.generateStyleCode(style, entry.lastSequence);
 
       // Check if update is needed
       if (!generated) {
@@ -343,54 +661,327 @@ class PLMService {
           brand: style.Brand,
           season: style.Season,
           productSubSubCategory: style.ProductSubSubCategory,
-          similarStylesCount: similarStyles.length
+          sequenceScope: scope.key,
+          similarStylesCount: similarStyles ? similarStyles.length : null,
+          pagesScanned: scan ? scan.pagesScanned : null,
+          rowsScanned: scan ? scan.rowsScanned : null,
+          ignoredStyles
         };
 
-        console.log(`\n${'═'.repeat(70)}`);
-        console.log(`✅ SUCCESS - No update needed (already at max sequence)`);
-        console.log(`${'═'.repeat(70)}`);
+        log.info('StyleCode assignment skipped (already at max sequence)', { styleId, styleCode: style.StyleCode, scope: scope.key });
+
+        assignmentAuditLog.append({
+          ...this.buildAuditRecord(styleId, style, scope, context),
+          outcome: 'skipped',
+          oldStyleCode: style.StyleCode || null,
+          newStyleCode: null,
+          reason: result.reason
+        });
 
         return result;
       }
 
       // Step 4: Update style
       await this.updateStyle(styleId, generated.StyleCode, generated.PatternSpecNumber);
+      sequenceLedger.record(scope.key, generated.sequence, { styleId, styleCode: generated.StyleCode });
+      sequenceLedger.recordAssignment(styleId, {
+        scope: scope.key,
+        sequence: generated.sequence,
+        oldStyleCode: style.StyleCode || null,
+        oldPatternSpecNumber: style.PatternSpecNumber || null,
+        newStyleCode: generated.StyleCode,
+        newPatternSpecNumber: generated.PatternSpecNumber
+      });
 
       // Step 5: Sync to search data
-      const syncSuccess = await this.syncToSearchData(styleId);
+      const syncSuccess = await this.syncToSearchData(styleId, { styleCode: generated.StyleCode, source: 'assign' });
 
       const result = {
         success: true,
         styleId: styleId,
         skipped: false,
         oldStyleCode: style.StyleCode,
+        oldPatternSpecNumber: style.PatternSpecNumber || null,
         newStyleCode: generated.StyleCode,
         patternSpecNumber: generated.PatternSpecNumber,
+        styleCodeTemplate: generated.template,
         brand: style.Brand,
         season: style.Season,
         productSubSubCategory: style.ProductSubSubCategory,
-        similarStylesCount: similarStyles.length,
-        syncedToSearchData: syncSuccess
+        sequenceScope: scope.key,
+        similarStylesCount: similarStyles ? similarStyles.length : null,
+        pagesScanned: scan ? scan.pagesScanned : null,
+        rowsScanned: scan ? scan.rowsScanned : null,
+        ignoredStyles,
+        syncedToSearchData: syncSuccess,
+        syncRetry: syncSuccess ? null : this.getSyncRetry(styleId)
       };
 
-      console.log(`\n${'═'.repeat(70)}`);
-      console.log(`✅ SUCCESS - StyleCode assigned ${syncSuccess ? '& synced' : '(sync failed)'}`);
-      console.log(`${'═'.repeat(70)}`);
+      log.info('StyleCode assigned', {
+        styleId,
+        oldStyleCode: style.StyleCode || null,
+        newStyleCode: generated.StyleCode,
+        scope: scope.key,
+        sequence: generated.sequence,
+        syncedToSearchData: syncSuccess
+      });
+
+      assignmentAuditLog.append({
+        ...this.buildAuditRecord(styleId, style, scope, context),
+        outcome: 'assigned',
+        oldStyleCode: style.StyleCode || null,
+        newStyleCode: generated.StyleCode,
+        oldPatternSpecNumber: style.PatternSpecNumber || null,
+        newPatternSpecNumber: generated.PatternSpecNumber,
+        sequence: generated.sequence,
+        syncedToSearchData: syncSuccess
+      });
 
       return result;
 
     } catch (error) {
-      console.error(`\n${'═'.repeat(70)}`);
-      console.error(`❌ ERROR - StyleCode assignment failed`);
-      console.error(`${'═'.repeat(70)}`);
-      console.error(`Error: ${error.message}`);
+      log.error('StyleCode assignment failed', { styleId, scope: scope ? scope.key : null, error });
+
+      assignmentAuditLog.append({
+        ...this.buildAuditRecord(styleId, style, scope, context),
+        outcome: 'failed',
+        oldStyleCode: style ? style.StyleCode || null : null,
+        error: error.message
+      });
 
       throw error;
     }
   }
+
+  /**
+   * Find non-deleted styles using a StyleCode
+   * @param {string} styleCode - StyleCode
+   * @returns {Promise<Array>} Styles ({ StyleId, StyleCode })
+   */
+  async findStylesByCode(styleCode) {
+    const url = `${this.baseUrl}/STYLE`;
+    const params = {
+      $select: 'StyleId,StyleCode',
+      $filter: `StyleCode eq '${styleCode.replace(/'/g, "''")}' and IsDeleted eq 0`
+    };
+
+    const { rows } = await this.queryAll('codeLookup', url, params);
+    return rows;
+  }
+
+  /**
+   * Set an explicit StyleCode on a style (manual override, e.g. carry-over or licensor codes)
+   * The code must match the style's template and brand/season/category prefix
+   * and must not be used by any other non-deleted style
+   * A code above the scope's last issued sequence raises the ledger so it is never generated again
+   * @param {number} styleId - Style ID
+   * @param {string} styleCode - StyleCode to set (also used as PatternSpecNumber)
+   * @param {Object} context - Who asked: { client, requestedBy, sourceIp, channel, reason }
+   * @returns {Promise<Object>} Result (applied false with refusal and reason when refused, skipped when unchanged)
+   */
+  async setStyleCode(styleId, styleCode, context = {}) {
+    log.info('Manual StyleCode override', { styleId, styleCode });
+
+    const style = await this.getStyleDetails(styleId);
+    const template = templateService.resolve(style);
+    const scope = this.getSequenceScope(style);
+    const refuse = (refusal, reason, extra = {}) => {
+      log.warn('StyleCode override refused', { styleId, styleCode, refusal, reason });
+      return { success: false, styleId, applied: false, refusal, reason, requestedStyleCode: styleCode, ...extra };
+    };
+
+    if (!this.isValidStyleCode(styleCode, template)) {
+      return refuse('invalid_format', `StyleCode does not match StyleCode template ${template.name}`, { expectedPattern: scope.pattern });
+    }
+
+    const match = styleCode.match(templateService.buildAffixRegex(template, scope));
+    if (!match) {
+      return refuse('prefix_mismatch', `StyleCode does not have this style's brand/season/category prefix (expected ${scope.pattern})`, { expectedPattern: scope.pattern });
+    }
+
+    if (style.StyleCode === styleCode) {
+      log.info('Style already has this StyleCode, nothing to do', { styleId, styleCode });
+      return {
+        success: true,
+        styleId,
+        applied: false,
+        skipped: true,
+        reason: 'Style already has this StyleCode',
+        currentStyleCode: style.StyleCode,
+        sequenceScope: scope.key
+      };
+    }
+
+    const holders = (await this.findStylesByCode(styleCode)).filter(s => s.StyleId !== styleId);
+    if (holders.length > 0) {
+      return refuse('duplicate', `StyleCode already used by StyleId ${holders.map(s => s.StyleId).join(', ')}`, {
+        usedBy: holders.map(s => s.StyleId)
+      });
+    }
+
+    const sequence = parseInt(match[1], 10);
+
+    await this.updateStyle(styleId, styleCode, styleCode);
+
+    // An unseeded scope is seeded from PLM later, which already includes this code
+    const ledgerEntry = sequenceLedger.get(scope.key);
+    const previousSequence = ledgerEntry ? ledgerEntry.lastSequence : null;
+    const ledgerRaised = !!ledgerEntry && sequence > previousSequence;
+    if (ledgerEntry) {
+      sequenceLedger.record(scope.key, sequence, { styleId, styleCode });
+    }
+    sequenceLedger.recordAssignment(styleId, {
+      scope: scope.key,
+      sequence,
+      oldStyleCode: style.StyleCode || null,
+      oldPatternSpecNumber: style.PatternSpecNumber || null,
+      newStyleCode: styleCode,
+      newPatternSpecNumber: styleCode,
+      override: true,
+      // A rollback moves the ledger back here rather than to sequence - 1
+      previousSequence: ledgerRaised ? previousSequence : null
+    });
+
+    const syncSuccess = await this.syncToSearchData(styleId, { styleCode, source: 'override' });
+
+    assignmentAuditLog.append({
+      ...this.buildAuditRecord(styleId, style, scope, context),
+      outcome: 'overridden',
+      oldStyleCode: style.StyleCode || null,
+      newStyleCode: styleCode,
+      oldPatternSpecNumber: style.PatternSpecNumber || null,
+      newPatternSpecNumber: styleCode,
+      sequence,
+      syncedToSearchData: syncSuccess,
+      reason: context.reason || 'Manual override'
+    });
+
+    log.info('StyleCode overridden', {
+      styleId,
+      oldStyleCode: style.StyleCode || null,
+      newStyleCode: styleCode,
+      scope: scope.key,
+      sequence,
+      ledgerRaised,
+      syncedToSearchData: syncSuccess
+    });
+
+    return {
+      success: true,
+      styleId,
+      applied: true,
+      override: true,
+      oldStyleCode: style.StyleCode,
+      oldPatternSpecNumber: style.PatternSpecNumber || null,
+      newStyleCode: styleCode,
+      patternSpecNumber: styleCode,
+      styleCodeTemplate: template.name,
+      brand: style.Brand,
+      season: style.Season,
+      productSubSubCategory: style.ProductSubSubCategory,
+      sequenceScope: scope.key,
+      sequence,
+      ledgerRaised,
+      reason: context.reason || null,
+      syncedToSearchData: syncSuccess,
+      syncRetry: syncSuccess ? null : this.getSyncRetry(styleId)
+    };
+  }
+
+  /**
+   * Roll back the last StyleCode assignment of a style
+   * Restores the previous StyleCode and PatternSpecNumber and frees the sequence
+   * number when it is still the latest one in its scope
+   * Refuses when the style's code was changed after the assignment
+   * @param {number} styleId - Style ID
+   * @param {Object} context - Who asked: { client, requestedBy, sourceIp, channel }
+   * @returns {Promise<Object>} Result (rolledBack false with refusal and reason when refused)
+   */
+  async rollbackStyleCode(styleId, context = {}) {
+    log.info('Rolling back StyleCode assignment', { styleId });
+
+    const assignment = sequenceLedger.getAssignment(styleId);
+
+    if (!assignment) {
+      return {
+        success: false,
+        styleId,
+        rolledBack: false,
+        refusal: 'no_assignment',
+        reason: 'No StyleCode assignment recorded for this style'
+      };
+    }
+
+    const style = await this.getStyleDetails(styleId);
+
+    if (style.StyleCode !== assignment.newStyleCode || (style.PatternSpecNumber || null) !== assignment.newPatternSpecNumber) {
+      log.warn('StyleCode changed since assignment, refusing rollback', {
+        styleId,
+        assignedStyleCode: assignment.newStyleCode,
+        currentStyleCode: style.StyleCode || null
+      });
+      return {
+        success: false,
+        styleId,
+        rolledBack: false,
+        refusal: 'code_changed',
+        reason: `StyleCode was changed after the assignment (assigned ${assignment.newStyleCode}, now ${style.StyleCode || 'empty'})`,
+        assignedStyleCode: assignment.newStyleCode,
+        currentStyleCode: style.StyleCode,
+        currentPatternSpecNumber: style.PatternSpecNumber || null
+      };
+    }
+
+    await this.updateStyle(styleId, assignment.oldStyleCode, assignment.oldPatternSpecNumber);
+
+    const sequenceReleased = typeof assignment.previousSequence === 'number'
+      ? sequenceLedger.release(assignment.scope, assignment.sequence, assignment.previousSequence)
+      : sequenceLedger.release(assignment.scope, assignment.sequence);
+    sequenceLedger.removeAssignment(styleId);
+
+    const syncSuccess = await this.syncToSearchData(styleId, { styleCode: assignment.oldStyleCode, source: 'rollback' });
+
+    assignmentAuditLog.append({
+      ...this.buildAuditRecord(styleId, style, { key: assignment.scope }, context),
+      outcome: 'rolled_back',
+      oldStyleCode: assignment.newStyleCode,
+      newStyleCode: assignment.oldStyleCode,
+      oldPatternSpecNumber: assignment.newPatternSpecNumber,
+      newPatternSpecNumber: assignment.oldPatternSpecNumber,
+      sequence: assignment.sequence,
+      syncedToSearchData: syncSuccess,
+      reason: sequenceReleased ? 'Sequence released' : 'Sequence kept (newer numbers issued)'
+    });
+
+    log.info('StyleCode assignment rolled back', {
+      styleId,
+      removedStyleCode: assignment.newStyleCode,
+      restoredStyleCode: assignment.oldStyleCode || null,
+      scope: assignment.scope,
+      sequence: assignment.sequence,
+      sequenceReleased
+    });
+
+    return {
+      success: true,
+      styleId,
+      rolledBack: true,
+      removedStyleCode: assignment.newStyleCode,
+      restoredStyleCode: assignment.oldStyleCode,
+      restoredPatternSpecNumber: assignment.oldPatternSpecNumber,
+      sequenceScope: assignment.scope,
+      sequence: assignment.sequence,
+      sequenceReleased,
+      assignedAt: assignment.assignedAt,
+      syncedToSearchData: syncSuccess,
+      syncRetry: syncSuccess ? null : this.getSyncRetry(styleId)
+    };
+  }
 }
 
 // Create singleton instance
 const plmService = new PLMService();
 
+syncRetryQueue.setHandler(styleId => plmService.sendSyncTask(styleId));
+
 module.exports = plmService;
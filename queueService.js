@@ -1,35 +1,124 @@
 /**
  * Queue Service
- * Manages sequential processing of requests to prevent duplicate StyleCode assignments
+ * Manages partitioned processing of requests to prevent duplicate StyleCode assignments
+ * Tasks in the same partition (sequence scope) run one at a time,
+ * different partitions run concurrently up to QUEUE_CONCURRENCY
  * Optimized for Heroku Basic Dyno (single instance)
+ * Tasks with the same dedupe key (e.g. the same StyleId) are coalesced while one is queued or running
+ * Emits 'changed' ({ reason, item }) whenever queue positions change
+ *
+ * Backpressure: QUEUE_MAX_DEPTH bounds the number of waiting tasks and QUEUE_MAX_PER_CLIENT
+ * the waiting + running tasks of one client; addTask throws QueueFullError beyond either
  */
 
-class QueueService {
+const EventEmitter = require('events');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child({ component: 'queue' });
+
+const taskWaitSeconds = metrics.histogram('queue_task_wait_seconds', 'Time tasks spent queued before they started');
+const taskRunSeconds = metrics.histogram('queue_task_run_seconds', 'Time tasks took to run', { labelNames: ['outcome'] });
+const tasksCoalesced = metrics.counter('queue_tasks_coalesced_total', 'Requests that joined a task already queued or running');
+
+const DEFAULT_PARTITION = 'default';
+
+// Number of recent task durations used for wait-time estimates
+const DURATION_WINDOW = 50;
+
+/**
+ * Thrown when a task is refused because the queue or the client's share of it is full
+ */
+class QueueFullError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.reason = details.reason;
+    this.limit = details.limit;
+    this.retryAfterSeconds = details.retryAfterSeconds;
+  }
+}
+
+class QueueService extends EventEmitter {
   constructor() {
+    super();
     this.queue = [];
-    this.isProcessing = false;
+    this.active = new Map(); // partitionKey -> queueItem currently processing
+    this.concurrency = Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY || '4', 10));
+    this.maxDepth = parseInt(process.env.QUEUE_MAX_DEPTH || '500', 10);
+    this.maxPerClient = parseInt(process.env.QUEUE_MAX_PER_CLIENT || '100', 10);
+    this.defaultTaskMs = parseInt(process.env.QUEUE_DEFAULT_TASK_MS || '3000', 10);
+    this.durations = []; // most recent task run times (ms)
     this.stats = {
       total: 0,
       completed: 0,
       failed: 0,
-      inProgress: 0
+      inProgress: 0,
+      coalesced: 0
     };
+    this.partitionStats = {};
+
+    metrics.gauge('queue_depth', 'Tasks waiting in the queue', { collect: () => this.queue.length });
+    metrics.gauge('queue_active_tasks', 'Tasks currently running', { collect: () => this.active.size });
+  }
+
+  /**
+   * Whether any task is currently running
+   */
+  get isProcessing() {
+    return this.active.size > 0;
   }
 
   /**
    * Add a task to the queue
    * @param {Function} task - Async function to execute
    * @param {string} identifier - Task identifier for logging
+   * @param {Object} options - Queue options
+   * @param {string|Function} options.partitionKey - Partition key, or async function resolving it
+   *   (tasks without a partition key share the "default" partition)
+   * @param {string} options.jobId - Job the task belongs to (for position lookups)
+   * @param {string} options.dedupeKey - Coalesce with a queued or running task with the same key:
+   *   the caller gets that task's result instead of a second run
+   * @param {boolean} options.coalesce - false to always queue this task (others can still join it)
+   * @param {string} options.client - Client the task is queued for (per-client limit)
+   * @param {string} options.correlationId - Correlation ID for the task's logs (default: the current one)
+   * @param {boolean} options.unbounded - Skip the limit check (capacity already checked, or recovered work)
    * @returns {Promise} Promise that resolves when task completes
+   * @throws {QueueFullError} When the queue or the client's limit is full (coalesced tasks never are)
    */
-  async addTask(task, identifier) {
-    return new Promise((resolve, reject) => {
-      const queueItem = {
+  async addTask(task, identifier, options = {}) {
+    if (options.dedupeKey && options.coalesce !== false) {
+      const existing = this.findByDedupeKey(options.dedupeKey);
+      if (existing) {
+        existing.coalesced++;
+        this.stats.coalesced++;
+        tasksCoalesced.inc();
+        log.info('Coalesced duplicate task', { identifier, taskId: existing.id, taskStatus: existing.status });
+        return existing.promise;
+      }
+    }
+
+    const refusal = options.unbounded ? null : this.checkCapacity(options.client);
+    if (refusal) {
+      log.warn('Task refused', { identifier, reason: refusal.reason, limit: refusal.limit, client: options.client || null });
+      throw new QueueFullError(refusal.message, refusal);
+    }
+
+    let queueItem;
+    const promise = new Promise((resolve, reject) => {
+      queueItem = {
         id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         identifier,
         task,
         resolve,
         reject,
+        partitionKey: typeof options.partitionKey === 'function' ? null : (options.partitionKey || DEFAULT_PARTITION),
+        jobId: options.jobId || null,
+        // Logs of the task carry the ID of the request (or job) that queued it
+        correlationId: options.correlationId || logger.getCorrelationId(),
+        dedupeKey: options.dedupeKey || null,
+        client: options.client || null,
+        coalesced: 0,
         addedAt: new Date(),
         status: 'pending'
       };
@@ -37,91 +126,383 @@ class QueueService {
       this.queue.push(queueItem);
       this.stats.total++;
 
-      console.log(`📥 Task added to queue: ${identifier} (Queue size: ${this.queue.length})`);
+      log.info('Task added to queue', { identifier, taskId: queueItem.id, queueSize: this.queue.length });
+      this.emitChange('added', queueItem);
 
-      // Start processing if not already processing
-      if (!this.isProcessing) {
+      if (queueItem.partitionKey === null) {
+        this.resolvePartition(queueItem, options.partitionKey);
+      } else {
+        this.getPartitionStats(queueItem.partitionKey).total++;
         this.processQueue();
       }
     });
+
+    queueItem.promise = promise;
+    return promise;
   }
 
   /**
-   * Process queue sequentially
+   * Find a queued or running task by dedupe key
+   * @param {string} dedupeKey - Dedupe key
+   * @returns {Object|null} Queue item
    */
-  async processQueue() {
-    if (this.isProcessing) {
-      return;
+  findByDedupeKey(dedupeKey) {
+    return this.queue.find(item => item.dedupeKey === dedupeKey)
+      || Array.from(this.active.values()).find(item => item.dedupeKey === dedupeKey)
+      || null;
+  }
+
+  /**
+   * Number of queued and running tasks of a client
+   * @param {string} client - Client name
+   * @returns {number} Task count
+   */
+  countForClient(client) {
+    return this.queue.filter(item => item.client === client).length
+      + Array.from(this.active.values()).filter(item => item.client === client).length;
+  }
+
+  /**
+   * Check whether tasks can be added without exceeding the queue limits
+   * @param {string} client - Client name (optional)
+   * @param {number} count - Number of tasks to add
+   * @returns {Object|null} null if they fit, otherwise { reason, limit, message, retryAfterSeconds }
+   */
+  checkCapacity(client, count = 1) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(this.getAverageTaskMs() / this.concurrency / 1000));
+
+    if (this.maxDepth > 0 && this.queue.length + count > this.maxDepth) {
+      return {
+        reason: 'queue_full',
+        limit: this.maxDepth,
+        message: `Queue is full (${this.queue.length}/${this.maxDepth} pending tasks)`,
+        retryAfterSeconds
+      };
     }
 
-    if (this.queue.length === 0) {
-      console.log('✅ Queue is empty, waiting for new tasks...');
+    if (client && this.maxPerClient > 0) {
+      const current = this.countForClient(client);
+      if (current + count > this.maxPerClient) {
+        return {
+          reason: 'client_limit',
+          limit: this.maxPerClient,
+          message: `Too many tasks for client ${client} (${current} queued or running, limit ${this.maxPerClient})`,
+          retryAfterSeconds
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record how long a task ran
+   * @param {number} durationMs - Run time
+   */
+  recordDuration(durationMs) {
+    this.durations.push(durationMs);
+    if (this.durations.length > DURATION_WINDOW) {
+      this.durations.shift();
+    }
+  }
+
+  /**
+   * Average run time of recent tasks (QUEUE_DEFAULT_TASK_MS until any task has finished)
+   * @returns {number} Milliseconds
+   */
+  getAverageTaskMs() {
+    if (this.durations.length === 0) {
+      return this.defaultTaskMs;
+    }
+    return Math.round(this.durations.reduce((sum, value) => sum + value, 0) / this.durations.length);
+  }
+
+  /**
+   * Estimated wait before a newly added task starts
+   * Every queued or running task ahead takes the average run time, spread over the concurrency slots
+   * @returns {number} Milliseconds
+   */
+  estimateWaitMs() {
+    const ahead = this.queue.length + this.active.size;
+    return Math.round(ahead / this.concurrency * this.getAverageTaskMs());
+  }
+
+  /**
+   * Resolve a task's partition key, then schedule it
+   * A task whose key cannot be resolved fails without running: outside its partition it could run
+   * alongside the tasks it must be serialized with. The caller resubmits it.
+   * @param {Object} queueItem - Queue item
+   * @param {Function} resolver - Async function returning the partition key
+   */
+  async resolvePartition(queueItem, resolver) {
+    try {
+      queueItem.partitionKey = (await resolver()) || DEFAULT_PARTITION;
+    } catch (error) {
+      log.error('Could not resolve partition, task failed', { identifier: queueItem.identifier, taskId: queueItem.id, error });
+
+      this.queue.splice(this.queue.indexOf(queueItem), 1);
+      queueItem.status = 'failed';
+      this.stats.failed++;
+      queueItem.reject(error);
+      this.emitChange('finished', queueItem);
+      this.processQueue();
       return;
     }
 
-    this.isProcessing = true;
-
-    while (this.queue.length > 0) {
-      const queueItem = this.queue.shift();
-      this.stats.inProgress++;
-
-      console.log(`\n${'═'.repeat(70)}`);
-      console.log(`🔄 Processing: ${queueItem.identifier}`);
-      console.log(`   Queue ID: ${queueItem.id}`);
-      console.log(`   Added at: ${queueItem.addedAt.toISOString()}`);
-      console.log(`   Remaining in queue: ${this.queue.length}`);
-      console.log(`${'═'.repeat(70)}`);
-
-      try {
-        queueItem.status = 'processing';
-        const result = await queueItem.task();
-        
-        queueItem.status = 'completed';
-        this.stats.completed++;
-        this.stats.inProgress--;
-        
-        console.log(`✅ Task completed: ${queueItem.identifier}`);
-        queueItem.resolve(result);
-        
-      } catch (error) {
-        queueItem.status = 'failed';
-        this.stats.failed++;
-        this.stats.inProgress--;
-        
-        console.error(`❌ Task failed: ${queueItem.identifier}`);
-        console.error(`   Error: ${error.message}`);
-        queueItem.reject(error);
+    this.getPartitionStats(queueItem.partitionKey).total++;
+    this.emitChange('resolved', queueItem);
+    this.processQueue();
+  }
+
+  /**
+   * Get (or create) statistics for a partition
+   * @param {string} partitionKey - Partition key
+   * @returns {Object} Partition statistics
+   */
+  getPartitionStats(partitionKey) {
+    if (!this.partitionStats[partitionKey]) {
+      this.partitionStats[partitionKey] = {
+        total: 0,
+        completed: 0,
+        failed: 0
+      };
+    }
+    return this.partitionStats[partitionKey];
+  }
+
+  /**
+   * Start every pending task whose partition is idle, up to the concurrency limit
+   * Tasks within a partition keep their arrival order
+   */
+  processQueue() {
+    while (this.active.size < this.concurrency) {
+      const index = this.queue.findIndex(item =>
+        item.partitionKey !== null && !this.active.has(item.partitionKey)
+      );
+
+      if (index === -1) {
+        break;
       }
+
+      const [queueItem] = this.queue.splice(index, 1);
+      this.runTask(queueItem);
+    }
+
+    if (this.queue.length === 0 && this.active.size === 0) {
+      log.debug('Queue is empty');
+    }
+  }
+
+  /**
+   * Run a single task and schedule the next ones when it finishes
+   * @param {Object} queueItem - Queue item
+   */
+  async runTask(queueItem) {
+    const partition = this.getPartitionStats(queueItem.partitionKey);
+
+    this.active.set(queueItem.partitionKey, queueItem);
+    this.stats.inProgress++;
+    this.emitChange('started', queueItem);
+
+    const startedAt = Date.now();
+    queueItem.startedAt = new Date(startedAt);
+
+    await logger.runWithCorrelationId(queueItem.correlationId, () => this.executeTask(queueItem, partition, startedAt));
+  }
+
+  /**
+   * Execute a task in its requester's correlation context
+   * @param {Object} queueItem - Queue item
+   * @param {Object} partition - Partition statistics
+   * @param {number} startedAt - Start time (ms)
+   */
+  async executeTask(queueItem, partition, startedAt) {
+    const waitMs = startedAt - queueItem.addedAt.getTime();
+    taskWaitSeconds.observe({}, waitMs / 1000);
+
+    log.info('Task started', {
+      identifier: queueItem.identifier,
+      taskId: queueItem.id,
+      partitionKey: queueItem.partitionKey,
+      waitMs,
+      running: this.active.size,
+      concurrency: this.concurrency,
+      queueSize: this.queue.length
+    });
+
+    try {
+      queueItem.status = 'processing';
+      const result = await queueItem.task();
+
+      queueItem.status = 'completed';
+      this.stats.completed++;
+      partition.completed++;
+      taskRunSeconds.observeSince({ outcome: 'completed' }, startedAt);
+
+      log.info('Task completed', { identifier: queueItem.identifier, taskId: queueItem.id, durationMs: Date.now() - startedAt });
+      queueItem.resolve(result);
+
+    } catch (error) {
+      queueItem.status = 'failed';
+      this.stats.failed++;
+      partition.failed++;
+      taskRunSeconds.observeSince({ outcome: 'failed' }, startedAt);
+
+      log.error('Task failed', { identifier: queueItem.identifier, taskId: queueItem.id, durationMs: Date.now() - startedAt, error });
+      queueItem.reject(error);
+    } finally {
+      this.recordDuration(Date.now() - startedAt);
+      this.stats.inProgress--;
+      this.active.delete(queueItem.partitionKey);
+      this.emitChange('finished', queueItem);
+      this.processQueue();
     }
+  }
 
-    this.isProcessing = false;
-    console.log('\n✅ Queue processing completed\n');
+  /**
+   * Notify listeners that queue positions changed
+   * @param {string} reason - 'added', 'resolved', 'started', 'finished' or 'cleared'
+   * @param {Object} queueItem - Queue item involved (if any)
+   */
+  emitChange(reason, queueItem = null) {
+    this.emit('changed', {
+      reason,
+      item: queueItem ? this.describeItem(queueItem) : null
+    });
+  }
+
+  /**
+   * Public view of a queue item
+   * @param {Object} queueItem - Queue item
+   * @returns {Object} Item summary
+   */
+  describeItem(queueItem) {
+    return {
+      id: queueItem.id,
+      identifier: queueItem.identifier,
+      partitionKey: queueItem.partitionKey,
+      jobId: queueItem.jobId,
+      client: queueItem.client,
+      correlationId: queueItem.correlationId,
+      addedAt: queueItem.addedAt,
+      startedAt: queueItem.startedAt || null,
+      status: queueItem.status
+    };
+  }
+
+  /**
+   * Health of the queue: tasks running for too long, and waiting tasks nothing is picking up
+   * @param {number} stuckAfterMs - Run time (or idle wait) after which a task counts as stuck
+   * @returns {Object} { healthy, running, queued, stuckTasks, stalled, oldestWaitMs }
+   */
+  getHealth(stuckAfterMs) {
+    const now = Date.now();
+
+    const stuckTasks = Array.from(this.active.values())
+      .filter(item => item.startedAt && now - item.startedAt.getTime() > stuckAfterMs)
+      .map(item => ({ ...this.describeItem(item), runningMs: now - item.startedAt.getTime() }));
+
+    const oldestWaitMs = this.queue.length > 0
+      ? now - Math.min(...this.queue.map(item => item.addedAt.getTime()))
+      : 0;
+
+    // Tasks have been waiting that long while nothing runs: processing stopped
+    const stalled = this.active.size === 0 && oldestWaitMs > stuckAfterMs;
+
+    return {
+      healthy: stuckTasks.length === 0 && !stalled,
+      running: this.active.size,
+      queued: this.queue.length,
+      stuckTasks,
+      stalled,
+      oldestWaitMs
+    };
+  }
+
+  /**
+   * Get the queue position of a job's task
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} { status, position, partitionPosition, estimatedWaitSeconds } or null if not queued
+   */
+  getJobPosition(jobId) {
+    for (const item of this.active.values()) {
+      if (item.jobId === jobId) {
+        return { status: 'processing', position: 0, partitionPosition: 0, estimatedWaitSeconds: 0 };
+      }
+    }
+
+    const index = this.queue.findIndex(item => item.jobId === jobId);
+    if (index === -1) {
+      return null;
+    }
+
+    const item = this.queue[index];
+    const partitionPosition = this.queue
+      .slice(0, index)
+      .filter(other => other.partitionKey === item.partitionKey).length + 1;
+
+    // A task waits for the tasks ahead of it in its own partition (run one at a time)
+    // and for its share of everything ahead of it overall, whichever is longer
+    const averageMs = this.getAverageTaskMs();
+    const ownPartitionAhead = item.partitionKey === null ? 0 : partitionPosition - 1 + (this.active.has(item.partitionKey) ? 1 : 0);
+    const overallAhead = (index + this.active.size) / this.concurrency;
+    const estimatedWaitMs = Math.max(ownPartitionAhead, overallAhead) * averageMs;
+
+    return {
+      status: 'pending',
+      position: index + 1,
+      partitionPosition: item.partitionKey === null ? null : partitionPosition,
+      estimatedWaitSeconds: Math.ceil(estimatedWaitMs / 1000)
+    };
   }
 
   /**
    * Get queue statistics
    */
   getStats() {
+    const partitions = {};
+
+    for (const [key, stats] of Object.entries(this.partitionStats)) {
+      partitions[key] = {
+        ...stats,
+        pending: this.queue.filter(item => item.partitionKey === key).length,
+        processing: this.active.has(key)
+      };
+    }
+
+    const clients = {};
+    for (const item of [...this.queue, ...this.active.values()]) {
+      if (item.client) {
+        clients[item.client] = (clients[item.client] || 0) + 1;
+      }
+    }
+
     return {
       ...this.stats,
       queueSize: this.queue.length,
       isProcessing: this.isProcessing,
-      pendingTasks: this.queue.map(item => ({
-        id: item.id,
-        identifier: item.identifier,
-        addedAt: item.addedAt,
-        status: item.status
-      }))
+      concurrency: this.concurrency,
+      limits: {
+        maxDepth: this.maxDepth,
+        maxPerClient: this.maxPerClient
+      },
+      averageTaskMs: this.getAverageTaskMs(),
+      estimatedWaitSeconds: Math.ceil(this.estimateWaitMs() / 1000),
+      clients,
+      activePartitions: Array.from(this.active.keys()),
+      partitions,
+      pendingTasks: this.queue.map(item => this.describeItem(item))
     };
   }
 
   /**
-   * Clear queue (for testing purposes)
+   * Clear pending tasks (for testing purposes)
+   * Tasks already running are left to finish
    */
   clear() {
     this.queue = [];
-    this.isProcessing = false;
-    console.log('🗑️  Queue cleared');
+    log.info('Queue cleared');
+    this.emitChange('cleared');
   }
 
   /**
@@ -132,9 +513,11 @@ class QueueService {
       total: 0,
       completed: 0,
       failed: 0,
-      inProgress: 0
+      inProgress: this.active.size,
+      coalesced: 0
     };
-    console.log('📊 Statistics reset');
+    this.partitionStats = {};
+    log.info('Statistics reset');
   }
 }
 
@@ -142,3 +525,4 @@ class QueueService {
 const queueService = new QueueService();
 
 module.exports = queueService;
+module.exports.QueueFullError = QueueFullError;
@@ -0,0 +1,209 @@
+/**
+ * Sequence Audit Service
+ * Finds duplicated codes, sequence gaps, prefix mismatches and temporary codes
+ * for a Season (optionally narrowed to one ProductSubSubCategory)
+ */
+
+const plmService = require('./plmService');
+const templateService = require('./templateService');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'sequenceAudit' });
+
+const FINDING_COLUMNS = ['type', 'scope', 'StyleId', 'StyleCode', 'detail'];
+
+class SequenceAuditService {
+  constructor() {
+    this.findingColumns = FINDING_COLUMNS;
+  }
+
+  /**
+   * Run an audit
+   * @param {number} seasonId - Season ID
+   * @param {number|null} productSubSubCategoryId - Category ID, null for the whole season
+   * @returns {Promise<Object>} Audit report
+   */
+  async audit(seasonId, productSubSubCategoryId = null) {
+    log.info('Sequence audit started', { seasonId, productSubSubCategoryId: productSubSubCategoryId || null });
+
+    const { styles, pagesScanned, rowsScanned } = await plmService.queryStyles(seasonId, productSubSubCategoryId, { expand: true });
+
+    const scopes = new Map();
+    const byCode = new Map();
+    const prefixMismatches = [];
+    const temporaryCodes = [];
+    const missingCodes = [];
+
+    for (const style of styles) {
+      const code = style.StyleCode;
+
+      if (!code) {
+        missingCodes.push({ StyleId: style.StyleId, StyleCode: null });
+        continue;
+      }
+
+      if (plmService.isTempStyleCode(code)) {
+        temporaryCodes.push({ StyleId: style.StyleId, StyleCode: code });
+        continue;
+      }
+
+      if (!byCode.has(code)) {
+        byCode.set(code, []);
+      }
+      byCode.get(code).push(style.StyleId);
+
+      if (!style.Brand || !style.Season || !style.ProductSubSubCategory) {
+        prefixMismatches.push({ StyleId: style.StyleId, StyleCode: code, expected: null, reason: 'Brand, Season or ProductSubSubCategory is empty' });
+        continue;
+      }
+
+      const template = templateService.resolve(style);
+      let expected;
+      let match;
+      try {
+        expected = templateService.describeExpected(template, style);
+        match = code.match(templateService.buildStyleRegex(template, style));
+      } catch (error) {
+        prefixMismatches.push({ StyleId: style.StyleId, StyleCode: code, expected: null, reason: error.message });
+        continue;
+      }
+
+      if (!match) {
+        prefixMismatches.push({ StyleId: style.StyleId, StyleCode: code, expected, reason: 'Does not match brand/season/category prefix' });
+        continue;
+      }
+
+      const scope = plmService.getSequenceScope(style);
+      if (!scopes.has(scope.key)) {
+        scopes.set(scope.key, {
+          scope: scope.key,
+          productSubSubCategory: style.ProductSubSubCategory,
+          templateId: scope.templateId,
+          sequences: new Map()
+        });
+      }
+
+      const sequence = parseInt(match[1], 10);
+      const sequences = scopes.get(scope.key).sequences;
+      if (!sequences.has(sequence)) {
+        sequences.set(sequence, []);
+      }
+      sequences.get(sequence).push({ StyleId: style.StyleId, StyleCode: code });
+    }
+
+    const duplicates = Array.from(byCode.entries())
+      .filter(([, styleIds]) => styleIds.length > 1)
+      .map(([styleCode, styleIds]) => ({ StyleCode: styleCode, styleIds }));
+
+    const scopeReports = Array.from(scopes.values()).map(scope => this.summarizeScope(scope));
+
+    const report = {
+      seasonId,
+      productSubSubCategoryId,
+      generatedAt: new Date().toISOString(),
+      totals: {
+        styles: styles.length,
+        pagesScanned,
+        rowsScanned,
+        scopes: scopeReports.length,
+        duplicatedCodes: duplicates.length,
+        duplicatedSequences: scopeReports.reduce((sum, s) => sum + s.duplicatedSequences.length, 0),
+        missingSequences: scopeReports.reduce((sum, s) => sum + s.missingCount, 0),
+        prefixMismatches: prefixMismatches.length,
+        temporaryCodes: temporaryCodes.length,
+        missingCodes: missingCodes.length
+      },
+      scopes: scopeReports,
+      duplicates,
+      prefixMismatches,
+      temporaryCodes,
+      missingCodes
+    };
+
+    log.info('Sequence audit completed', { seasonId, productSubSubCategoryId: productSubSubCategoryId || null, totals: report.totals });
+    return report;
+  }
+
+  /**
+   * Compute range, gaps and duplicated sequences of one scope
+   * @param {Object} scope - Scope with sequences Map (sequence -> styles)
+   * @returns {Object} Scope report
+   */
+  summarizeScope(scope) {
+    const numbers = Array.from(scope.sequences.keys()).sort((a, b) => a - b);
+    const maxSequence = numbers.length ? numbers[numbers.length - 1] : 0;
+
+    // Gaps are reported as ranges, counting from 1
+    const gaps = [];
+    let expected = 1;
+    for (const number of numbers) {
+      if (number > expected) {
+        gaps.push({ from: expected, to: number - 1 });
+      }
+      expected = number + 1;
+    }
+
+    const duplicatedSequences = Array.from(scope.sequences.entries())
+      .filter(([, styles]) => styles.length > 1)
+      .map(([sequence, styles]) => ({ sequence, styles }));
+
+    return {
+      scope: scope.scope,
+      templateId: scope.templateId,
+      productSubSubCategory: scope.productSubSubCategory,
+      styleCount: Array.from(scope.sequences.values()).reduce((sum, styles) => sum + styles.length, 0),
+      minSequence: numbers.length ? numbers[0] : null,
+      maxSequence,
+      gaps,
+      missingCount: gaps.reduce((sum, gap) => sum + (gap.to - gap.from + 1), 0),
+      duplicatedSequences
+    };
+  }
+
+  /**
+   * Flatten a report into one row per finding (for CSV export)
+   * @param {Object} report - Audit report
+   * @returns {Array<Object>} Rows with findingColumns
+   */
+  toFindingRows(report) {
+    const rows = [];
+
+    for (const duplicate of report.duplicates) {
+      for (const styleId of duplicate.styleIds) {
+        rows.push({ type: 'duplicate_code', scope: null, StyleId: styleId, StyleCode: duplicate.StyleCode, detail: `Shared by ${duplicate.styleIds.length} styles` });
+      }
+    }
+
+    for (const scope of report.scopes) {
+      for (const duplicate of scope.duplicatedSequences) {
+        for (const style of duplicate.styles) {
+          rows.push({ type: 'duplicate_sequence', scope: scope.scope, StyleId: style.StyleId, StyleCode: style.StyleCode, detail: `Sequence ${duplicate.sequence}` });
+        }
+      }
+
+      for (const gap of scope.gaps) {
+        const detail = gap.from === gap.to ? `Missing ${gap.from}` : `Missing ${gap.from}-${gap.to}`;
+        rows.push({ type: 'gap', scope: scope.scope, StyleId: null, StyleCode: null, detail });
+      }
+    }
+
+    for (const mismatch of report.prefixMismatches) {
+      rows.push({ type: 'prefix_mismatch', scope: null, StyleId: mismatch.StyleId, StyleCode: mismatch.StyleCode, detail: mismatch.expected ? `Expected ${mismatch.expected}` : mismatch.reason });
+    }
+
+    for (const temp of report.temporaryCodes) {
+      rows.push({ type: 'temporary_code', scope: null, StyleId: temp.StyleId, StyleCode: temp.StyleCode, detail: 'Still on temporary code' });
+    }
+
+    for (const missing of report.missingCodes) {
+      rows.push({ type: 'missing_code', scope: null, StyleId: missing.StyleId, StyleCode: null, detail: 'No StyleCode' });
+    }
+
+    return rows;
+  }
+}
+
+// Create singleton instance
+const sequenceAuditService = new SequenceAuditService();
+
+module.exports = sequenceAuditService;
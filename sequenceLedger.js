@@ -0,0 +1,228 @@
+/**
+ * Sequence Ledger
+ * Persistent record of the last issued sequence number per scope
+ * Numbering no longer depends on PLM OData read-after-write timing
+ * Also keeps the last assignment per style so it can be rolled back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'ledger' });
+
+const DEFAULT_LEDGER_FILE = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'sequence-ledger.json');
+
+class SequenceLedger {
+  constructor() {
+    this.filePath = process.env.SEQUENCE_LEDGER_FILE || DEFAULT_LEDGER_FILE;
+    this.entries = {};
+    this.assignments = {};
+    this.load();
+  }
+
+  /**
+   * Load ledger from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      log.info('Sequence ledger not found, starting empty', { file: this.filePath });
+      return;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.entries = raw.entries || {};
+    this.assignments = raw.assignments || {};
+
+    log.info('Sequence ledger loaded', { scopes: Object.keys(this.entries).length, file: this.filePath });
+  }
+
+  /**
+   * Write ledger to disk (temp file + rename, so a crash never leaves half a file)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ entries: this.entries, assignments: this.assignments }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Get ledger entry for a scope
+   * @param {string} scopeKey - Scope key
+   * @returns {Object|null} Ledger entry
+   */
+  get(scopeKey) {
+    return this.entries[scopeKey] || null;
+  }
+
+  /**
+   * Get all ledger entries
+   * @returns {Array} Ledger entries
+   */
+  getAll() {
+    return Object.values(this.entries);
+  }
+
+  /**
+   * Seed a scope from PLM on first use
+   * @param {string} scopeKey - Scope key
+   * @param {number} lastSequence - Max sequence found in PLM
+   * @param {Object} scope - Scope details (seasonId, productSubSubCategoryId, templateId)
+   * @returns {Object} Ledger entry
+   */
+  seed(scopeKey, lastSequence, scope) {
+    const now = new Date().toISOString();
+
+    this.entries[scopeKey] = {
+      scope: scopeKey,
+      ...scope,
+      lastSequence,
+      lastStyleId: null,
+      lastStyleCode: null,
+      seededAt: now,
+      updatedAt: now,
+      reconciledAt: now
+    };
+    this.save();
+
+    log.info('Ledger seeded', { scope: scopeKey, lastSequence });
+    return this.entries[scopeKey];
+  }
+
+  /**
+   * Record an issued sequence number
+   * @param {string} scopeKey - Scope key
+   * @param {number} sequence - Issued sequence number
+   * @param {Object} details - { styleId, styleCode }
+   * @returns {Object} Ledger entry
+   */
+  record(scopeKey, sequence, details = {}) {
+    const entry = this.entries[scopeKey];
+    if (!entry) {
+      throw new Error(`Sequence ledger scope not seeded: ${scopeKey}`);
+    }
+
+    if (sequence > entry.lastSequence) {
+      entry.lastSequence = sequence;
+      entry.lastStyleId = details.styleId || null;
+      entry.lastStyleCode = details.styleCode || null;
+      entry.updatedAt = new Date().toISOString();
+      this.save();
+    }
+
+    log.info('Ledger recorded', { scope: scopeKey, sequence, lastSequence: entry.lastSequence });
+    return entry;
+  }
+
+  /**
+   * Release a sequence number after a rollback
+   * Only the latest number of a scope can be released; older ones stay consumed
+   * @param {string} scopeKey - Scope key
+   * @param {number} sequence - Sequence number to release
+   * @param {number} previousSequence - Value to move back to (default sequence - 1; an override can jump ahead)
+   * @returns {boolean} True if the scope moved back
+   */
+  release(scopeKey, sequence, previousSequence = sequence - 1) {
+    const entry = this.entries[scopeKey];
+    if (!entry || entry.lastSequence !== sequence) {
+      return false;
+    }
+
+    entry.lastSequence = previousSequence;
+    entry.lastStyleId = null;
+    entry.lastStyleCode = null;
+    entry.updatedAt = new Date().toISOString();
+    this.save();
+
+    log.info('Ledger released', { scope: scopeKey, sequence, lastSequence: entry.lastSequence });
+    return true;
+  }
+
+  /**
+   * Remember the last assignment of a style (previous and new codes)
+   * @param {number} styleId - Style ID
+   * @param {Object} assignment - { scope, sequence, oldStyleCode, oldPatternSpecNumber, newStyleCode, newPatternSpecNumber, override, previousSequence }
+   * @returns {Object} Stored assignment
+   */
+  recordAssignment(styleId, assignment) {
+    this.assignments[styleId] = {
+      styleId,
+      ...assignment,
+      assignedAt: new Date().toISOString()
+    };
+    this.save();
+    return this.assignments[styleId];
+  }
+
+  /**
+   * Get the last assignment of a style
+   * @param {number} styleId - Style ID
+   * @returns {Object|null} Assignment
+   */
+  getAssignment(styleId) {
+    return this.assignments[styleId] || null;
+  }
+
+  /**
+   * Forget the last assignment of a style (after a rollback)
+   * @param {number} styleId - Style ID
+   */
+  removeAssignment(styleId) {
+    delete this.assignments[styleId];
+    this.save();
+  }
+
+  /**
+   * Reconcile a scope against the max sequence currently in PLM
+   * The ledger only moves forward: codes issued outside this service raise it,
+   * a stale PLM read can never lower it
+   * @param {string} scopeKey - Scope key
+   * @param {number} plmMaxSequence - Max sequence found in PLM
+   * @returns {Object} Reconciliation result
+   */
+  reconcile(scopeKey, plmMaxSequence) {
+    const entry = this.entries[scopeKey];
+    if (!entry) {
+      throw new Error(`Sequence ledger scope not seeded: ${scopeKey}`);
+    }
+
+    const ledgerSequence = entry.lastSequence;
+    const drift = plmMaxSequence > ledgerSequence;
+
+    if (drift) {
+      log.warn('Ledger behind PLM, raising', { scope: scopeKey, ledgerSequence, plmMaxSequence });
+      entry.lastSequence = plmMaxSequence;
+      entry.lastStyleId = null;
+      entry.lastStyleCode = null;
+      entry.updatedAt = new Date().toISOString();
+    }
+
+    entry.reconciledAt = new Date().toISOString();
+    this.save();
+
+    return {
+      scope: scopeKey,
+      ledgerSequence,
+      plmMaxSequence,
+      drift,
+      lastSequence: entry.lastSequence
+    };
+  }
+
+  /**
+   * Clear ledger (for testing)
+   */
+  clear() {
+    this.entries = {};
+    this.assignments = {};
+    this.save();
+    log.info('Sequence ledger cleared');
+  }
+}
+
+// Create singleton instance
+const sequenceLedger = new SequenceLedger();
+
+module.exports = sequenceLedger;
@@ -1,24 +1,71 @@
 /**
  * StyleCode Numerator API Server
- * Sequential processing with queue management
+ * Partitioned processing with queue management (serialized per sequence scope)
  * Optimized for Heroku Basic Dyno
  */
 
+const crypto = require('crypto');
 const express = require('express');
+const configService = require('./configService');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger.json');
 const queueService = require('./queueService');
+const { QueueFullError } = queueService;
 const plmService = require('./plmService');
 const tokenService = require('./tokenService');
 const jobService = require('./jobService');
+const sequenceLedger = require('./sequenceLedger');
+const webhookService = require('./webhookService');
+const sequenceAuditService = require('./sequenceAuditService');
+const assignmentAuditLog = require('./assignmentAuditLog');
+const authService = require('./authService');
+const idempotencyStore = require('./idempotencyStore');
+const { toCsv } = require('./csvUtil');
+const plmClient = require('./plmClient');
+const { classifyError } = plmClient;
+const logger = require('./logger');
+const metrics = require('./metrics');
+const healthService = require('./healthService');
+const syncRetryQueue = require('./syncRetryQueue');
+const { SYNC_RETRY_STATUSES } = syncRetryQueue;
+const ionEventParser = require('./ionEventParser');
+const { IonEventError } = ionEventParser;
+
+const log = logger.child({ component: 'server' });
+
+const queueRejections = metrics.counter('queue_rejections_total', 'Requests refused with 429 because the queue was full', {
+  labelNames: ['reason']
+});
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const LEDGER_RECONCILE_INTERVAL_MS = parseInt(process.env.SEQUENCE_LEDGER_RECONCILE_INTERVAL_MS || `${15 * 60 * 1000}`, 10);
+// Sync requests expected to wait longer than this are refused (stays under Heroku's 30s router timeout)
+const SYNC_MAX_WAIT_MS = parseInt(process.env.SYNC_MAX_WAIT_MS || '25000', 10);
+
+// Correlation IDs accepted from callers (anything else is replaced by a generated one)
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// ION event bodies (JSON envelopes and BOD XML) may be larger than other requests
+const ION_EVENT_MAX_BODY = process.env.ION_EVENT_MAX_BODY || '256kb';
 
 // Middleware
+// Mounted first: the global parser below skips a body that is already parsed
+app.use('/api/ion/events', express.json({ limit: ION_EVENT_MAX_BODY }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Correlation ID: taken from X-Correlation-ID / X-Request-ID or generated, echoed back and
+// attached to every log line written while handling the request (queue tasks and jobs included)
+app.use((req, res, next) => {
+  const incoming = req.get('X-Correlation-ID') || req.get('X-Request-ID');
+  const correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.correlationId = correlationId;
+  res.set('X-Correlation-ID', correlationId);
+  logger.runWithCorrelationId(correlationId, next);
+});
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -27,11 +74,24 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
 
 // Request logging middleware
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`\n[${timestamp}] ${req.method} ${req.path}`);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
   next();
 });
 
+// Authentication (see authService.js for roles and key configuration)
+const requireCaller = authService.requireRole('caller');
+const requireAdmin = authService.requireRole('admin');
+// EventSource cannot send headers, so event streams also accept ?access_token=
+const requireCallerStream = authService.requireRole('caller', { allowQueryToken: true });
+
 /**
  * Health check endpoint
  */
@@ -42,18 +102,71 @@ app.get('/', (req, res) => {
     status: 'running',
     environment: tokenService.getConfigInfo().environment,
     tenant: tokenService.getConfigInfo().tenantId,
+    plmCircuitBreaker: plmClient.getCircuitState(),
     endpoints: {
       health: 'GET /',
       documentation: 'GET /api-docs',
       assignStyleCode: 'POST /api/stylecode/assign',
       assignStyleCodeAsync: 'POST /api/stylecode/assign/async',
+      assignStyleCodeBatchAsync: 'POST /api/stylecode/assign/batch/async',
+      ionEvents: 'POST /api/ion/events',
+      batchStatus: 'GET /api/batch/:batchId',
+      previewStyleCode: 'POST /api/stylecode/preview',
+      rollbackStyleCode: 'POST /api/stylecode/rollback',
+      setStyleCode: 'POST /api/stylecode/set',
+      sequenceAudit: 'GET /api/stylecode/audit',
+      assignmentAudit: 'GET /api/audit',
       jobStatus: 'GET /api/job/:jobId',
+      jobEvents: 'GET /api/job/:jobId/events',
+      queueEvents: 'GET /api/queue/events',
       queueStats: 'GET /api/queue/stats',
-      tokenInfo: 'GET /api/token/info'
+      sequenceLedger: 'GET /api/ledger',
+      syncFailures: 'GET /api/sync/failures',
+      tokenInfo: 'GET /api/token/info',
+      metrics: 'GET /metrics',
+      liveness: 'GET /health/live',
+      readiness: 'GET /health/ready'
     }
   });
 });
 
+/**
+ * Liveness check (process only, no external calls)
+ * GET /health/live
+ */
+app.get('/health/live', (req, res) => {
+  res.json(healthService.getLiveness());
+});
+
+/**
+ * Readiness check: token, OData, job tasks endpoint and queue
+ * GET /health/ready
+ * 200 when every component is up, 503 otherwise
+ */
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await healthService.getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    log.error('Readiness check failed to run', { error });
+    res.status(503).json({
+      ready: false,
+      status: 'not_ready',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Prometheus metrics (text exposition format)
+ * GET /metrics
+ * Scrape with the API key as bearer token (Prometheus: authorization.credentials)
+ */
+app.get('/metrics', requireCaller, (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
 /**
  * Parse StyleId from PLM format
  * Accepts: "StyleId eq 36152" or 36152
@@ -86,6 +199,230 @@ function parseStyleId(input) {
   return null;
 }
 
+/**
+ * Who is asking, for the assignment audit log
+ * client is the authenticated API key name; requestedBy (the person behind it)
+ * comes from the X-Requested-By header or a "requestedBy" body field
+ */
+function requestContext(req, channel) {
+  return {
+    client: req.auth ? req.auth.name : null,
+    requestedBy: req.get('X-Requested-By') || (req.body && req.body.requestedBy) || null,
+    sourceIp: req.ip,
+    channel
+  };
+}
+
+/**
+ * Queue options for a StyleCode assignment
+ * Partitioned by sequence scope so unrelated Season/Category scopes run concurrently
+ * A second request for a StyleId that is already queued or running shares that run's result
+ * client is counted against QUEUE_MAX_PER_CLIENT
+ */
+function assignmentQueueOptions(styleId, client) {
+  return {
+    partitionKey: () => plmService.getPartitionKey(styleId),
+    dedupeKey: `assign:${styleId}`,
+    client: client || null
+  };
+}
+
+/**
+ * 429 Too Many Requests with Retry-After
+ * @param {Object} res - Express response
+ * @param {Object} refusal - QueueFullError or queueService.checkCapacity() result
+ */
+function sendQueueFull(res, refusal) {
+  queueRejections.inc({ reason: refusal.reason });
+  res.set('Retry-After', String(refusal.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: refusal.message,
+    reason: refusal.reason,
+    limit: refusal.limit,
+    retryAfterSeconds: refusal.retryAfterSeconds
+  });
+}
+
+/**
+ * Idempotency-Key support for mutating endpoints
+ * Repeating a key replays the original response (Idempotent-Replayed: true);
+ * reusing it for a different request gets 422. A request still in flight is waited for.
+ * Server errors and 429 (queue full) are not stored, so the client can retry with the same key.
+ */
+function idempotency(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  if (idempotencyKey.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const key = `${req.auth ? req.auth.name : 'anonymous'}:${idempotencyKey}`;
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.method} ${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+  (async () => {
+    let entry = idempotencyStore.get(key);
+
+    while (entry && entry.status === 'in_progress' && entry.fingerprint === fingerprint) {
+      log.info('Idempotency-Key in progress, waiting for the original request', { idempotencyKey });
+      await entry.done;
+      entry = idempotencyStore.get(key);
+    }
+
+    if (entry && entry.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (entry) {
+      log.info('Idempotency-Key replayed', { idempotencyKey, status: entry.statusCode });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(entry.statusCode).json(entry.body);
+    }
+
+    idempotencyStore.begin(key, fingerprint);
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 500 || res.statusCode === 429) {
+        idempotencyStore.release(key);
+      } else {
+        idempotencyStore.complete(key, res.statusCode, body);
+      }
+      return json(body);
+    };
+
+    // Client went away before a response was stored
+    res.on('close', () => {
+      const current = idempotencyStore.get(key);
+      if (current && current.status === 'in_progress') {
+        idempotencyStore.release(key);
+      }
+    });
+
+    next();
+  })().catch(next);
+}
+
+/**
+ * Queue a StyleCode assignment job (non-blocking)
+ * Used by the async endpoint and to re-enqueue jobs recovered after a restart
+ */
+function enqueueAssignmentJob(jobId, styleId, context = {}) {
+  queueService.addTask(
+    async () => {
+      try {
+        jobService.updateJobStatus(jobId, 'processing');
+        const result = await plmService.processStyleCodeAssignment(styleId, { ...context, jobId });
+        jobService.updateJobStatus(jobId, 'completed', { result });
+        return result;
+      } catch (error) {
+        const { transient, category } = classifyError(error);
+        jobService.updateJobStatus(jobId, 'failed', {
+          error: error.message,
+          errorType: transient ? 'transient' : 'permanent',
+          errorCategory: category
+        });
+        throw error;
+      }
+    },
+    `StyleId: ${styleId}`,
+    // Always queued: the job's own task must run to update its status (a StyleId with an active job gets
+    // no second one: createAssignmentJob and async batches hand out the active job instead),
+    // but sync requests for the same StyleId can still join it.
+    // Unbounded: capacity is checked before the job is created, and recovered jobs were accepted already
+    // Recovered jobs keep the correlation ID of the request that created them
+    {
+      ...assignmentQueueOptions(styleId, context.client),
+      coalesce: false,
+      unbounded: true,
+      jobId,
+      correlationId: (jobService.getJob(jobId) || {}).correlationId
+    }
+  ).catch(error => {
+    // Failure already logged by the queue and, when the task ran, recorded on the job.
+    // A task whose partition could not be resolved never ran, so its job is still pending
+    const job = jobService.getJob(jobId);
+    if (job && job.status === 'pending') {
+      const { transient, category } = classifyError(error);
+      jobService.updateJobStatus(jobId, 'failed', {
+        error: error.message,
+        errorType: transient ? 'transient' : 'permanent',
+        errorCategory: category
+      });
+    }
+  });
+}
+
+/**
+ * Create and queue an async assignment job, unless the style already has one pending or running
+ * @param {number} styleId - Style ID
+ * @param {Object} context - requestContext()
+ * @param {Object} options - { payload (extra job payload fields), callbackUrl, callbackSecret }
+ * @returns {Object} { job, deduplicated }, or { refusal } when the queue is full
+ */
+function createAssignmentJob(styleId, context, options = {}) {
+  // A job for this StyleId is already pending or running: hand out that job instead of a second one
+  const existingJob = jobService.findActiveJob('stylecode_assignment', payload => payload.styleId === styleId);
+  if (existingJob) {
+    log.info('Style already has an active job, returning it', { styleId, jobId: existingJob.id });
+    return { job: existingJob, deduplicated: true };
+  }
+
+  const refusal = queueService.checkCapacity(context.client);
+  if (refusal) {
+    log.warn('Async request refused', { styleId, reason: refusal.reason });
+    return { refusal };
+  }
+
+  // Create job (requester kept in the payload so recovered jobs are audited correctly)
+  const jobId = jobService.createJob('stylecode_assignment', {
+    styleId,
+    client: context.client,
+    requestedBy: context.requestedBy,
+    sourceIp: context.sourceIp,
+    ...(options.payload || {})
+  }, { callbackUrl: options.callbackUrl, callbackSecret: options.callbackSecret });
+
+  // Add to queue (non-blocking)
+  enqueueAssignmentJob(jobId, styleId, context);
+
+  return { job: jobService.getJob(jobId), deduplicated: false };
+}
+
+/**
+ * Re-enqueue jobs left pending or processing by a previous run
+ */
+function recoverPendingJobs() {
+  for (const job of jobService.recoverJobs()) {
+    if (job.type === 'stylecode_assignment') {
+      log.info('Re-enqueueing job', { jobId: job.id, styleId: job.payload.styleId });
+      enqueueAssignmentJob(job.id, job.payload.styleId, {
+        client: job.payload.client,
+        requestedBy: job.payload.requestedBy,
+        sourceIp: job.payload.sourceIp,
+        channel: job.payload.channel || (job.payload.batchId ? 'batch' : 'async')
+      });
+    } else if (job.type === 'stylecode_batch') {
+      // Its children are recovered on their own; the parent follows them
+      jobService.refreshBatch(job.id);
+    } else {
+      jobService.updateJobStatus(job.id, 'failed', { error: `Cannot recover job of type ${job.type}` });
+    }
+  }
+}
+
 /**
  * Assign StyleCode to a style (Synchronous)
  * POST /api/stylecode/assign
@@ -94,7 +431,7 @@ function parseStyleId(input) {
  * ⚠️  WARNING: May timeout on Heroku if queue is long (30s limit)
  * Use /api/stylecode/assign/async for production
  */
-app.post('/api/stylecode/assign', async (req, res) => {
+app.post('/api/stylecode/assign', requireCaller, idempotency, async (req, res) => {
   try {
     // Support both "StyleId" (PLM format) and "styleId" (direct format)
     const styleIdInput = req.body.StyleId || req.body.styleId;
@@ -109,15 +446,28 @@ app.post('/api/stylecode/assign', async (req, res) => {
       });
     }
 
-    console.log(`\n📨 New StyleCode assignment request received (SYNC)`);
-    console.log(`   Raw input: ${styleIdInput}`);
-    console.log(`   Parsed StyleId: ${styleId}`);
-    console.log(`   Request IP: ${req.ip}`);
+    log.info('StyleCode assignment request received', { mode: 'sync', styleId, sourceIp: req.ip });
+
+    // Joining a run already queued for this StyleId costs nothing; otherwise refuse if the wait
+    // would outlast the router timeout
+    const options = assignmentQueueOptions(styleId, req.auth.name);
+    const estimatedWaitMs = queueService.estimateWaitMs();
+    if (!queueService.findByDedupeKey(options.dedupeKey) && estimatedWaitMs > SYNC_MAX_WAIT_MS) {
+      const retryAfterSeconds = Math.ceil(estimatedWaitMs / 1000);
+      log.warn('Sync request refused, estimated wait too long', { styleId, estimatedWaitSeconds: retryAfterSeconds });
+      return sendQueueFull(res, {
+        reason: 'wait_too_long',
+        limit: SYNC_MAX_WAIT_MS,
+        message: `Estimated queue wait (${retryAfterSeconds}s) exceeds the sync limit, use /api/stylecode/assign/async`,
+        retryAfterSeconds
+      });
+    }
 
     // Add to queue and wait for result
     const result = await queueService.addTask(
-      () => plmService.processStyleCodeAssignment(styleId),
-      `StyleId: ${styleId}`
+      () => plmService.processStyleCodeAssignment(styleId, requestContext(req, 'sync')),
+      `StyleId: ${styleId}`,
+      options
     );
 
     res.json({
@@ -127,11 +477,19 @@ app.post('/api/stylecode/assign', async (req, res) => {
     });
 
   } catch (error) {
-    console.error(`❌ Error in /api/stylecode/assign:`, error.message);
-    
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+
+    log.error('Request failed', { route: '/api/stylecode/assign', error });
+
+    const { transient, category } = classifyError(error);
+
     res.status(500).json({
       success: false,
       error: error.message,
+      errorType: transient ? 'transient' : 'permanent',
+      errorCategory: category,
       details: error.response?.data || null
     });
   }
@@ -141,11 +499,13 @@ app.post('/api/stylecode/assign', async (req, res) => {
  * Assign StyleCode to a style (Asynchronous - Recommended for Heroku)
  * POST /api/stylecode/assign/async
  * Body: { "StyleId": "StyleId eq 36152" } or { "styleId": 36152 }
+ *       optional: "callbackUrl", "callbackSecret"
  * 
  * Returns immediately with jobId, client polls /api/job/:jobId for status
+ * or receives a signed POST on callbackUrl when the job completes or fails
  * ✅ Prevents Heroku 30s timeout
  */
-app.post('/api/stylecode/assign/async', async (req, res) => {
+app.post('/api/stylecode/assign/async', requireCaller, idempotency, async (req, res) => {
   try {
     // Support both "StyleId" (PLM format) and "styleId" (direct format)
     const styleIdInput = req.body.StyleId || req.body.styleId;
@@ -160,40 +520,53 @@ app.post('/api/stylecode/assign/async', async (req, res) => {
       });
     }
 
-    console.log(`\n📨 New StyleCode assignment request received (ASYNC)`);
-    console.log(`   Raw input: ${styleIdInput}`);
-    console.log(`   Parsed StyleId: ${styleId}`);
-    console.log(`   Request IP: ${req.ip}`);
-
-    // Create job
-    const jobId = jobService.createJob('stylecode_assignment', { styleId });
-
-    // Add to queue (non-blocking)
-    queueService.addTask(
-      async () => {
-        try {
-          jobService.updateJobStatus(jobId, 'processing');
-          const result = await plmService.processStyleCodeAssignment(styleId);
-          jobService.updateJobStatus(jobId, 'completed', { result });
-          return result;
-        } catch (error) {
-          jobService.updateJobStatus(jobId, 'failed', { error: error.message });
-          throw error;
-        }
-      },
-      `StyleId: ${styleId}`
-    ).catch(err => {
-      // Error already logged in job service
-      console.error(`Job ${jobId} failed:`, err.message);
-    });
+    const { callbackUrl, callbackSecret } = req.body;
+
+    if (callbackUrl) {
+      const callbackError = webhookService.validateCallbackUrl(callbackUrl);
+      if (callbackError) {
+        return res.status(400).json({
+          success: false,
+          error: callbackError,
+          received: callbackUrl
+        });
+      }
+    }
+
+    log.info('StyleCode assignment request received', { mode: 'async', styleId, sourceIp: req.ip, callbackUrl });
+
+    const { job, deduplicated, refusal } = createAssignmentJob(styleId, requestContext(req, 'async'), { callbackUrl, callbackSecret });
+    if (refusal) {
+      return sendQueueFull(res, refusal);
+    }
+
+    // The running job belongs to another caller and posts its result to that caller's callback only
+    if (deduplicated && callbackUrl) {
+      return res.status(409).json({
+        success: false,
+        error: 'StyleCode assignment job already in progress for this style; its callback cannot be added to. Poll statusUrl or retry after it finishes',
+        jobId: job.id,
+        styleId,
+        status: job.status,
+        statusUrl: `/api/job/${job.id}`,
+        eventsUrl: `/api/job/${job.id}/events`
+      });
+    }
+
+    const position = queueService.getJobPosition(job.id);
 
     // Return immediately
     res.json({
       success: true,
-      message: 'StyleCode assignment job created',
-      jobId: jobId,
+      message: deduplicated ? 'StyleCode assignment job already in progress for this style' : 'StyleCode assignment job created',
+      deduplicated,
+      jobId: job.id,
       styleId: styleId,
-      statusUrl: `/api/job/${jobId}`,
+      ...(deduplicated ? { status: job.status } : {}),
+      estimatedWaitSeconds: position ? position.estimatedWaitSeconds : null,
+      statusUrl: `/api/job/${job.id}`,
+      eventsUrl: `/api/job/${job.id}/events`,
+      callbackUrl: deduplicated ? null : (callbackUrl || null),
       polling: {
         recommended_interval: '2s',
         max_wait_time: '60s'
@@ -201,7 +574,7 @@ app.post('/api/stylecode/assign/async', async (req, res) => {
     });
 
   } catch (error) {
-    console.error(`❌ Error in /api/stylecode/assign/async:`, error.message);
+    log.error('Request failed', { route: '/api/stylecode/assign/async', error });
     
     res.status(500).json({
       success: false,
@@ -210,11 +583,416 @@ app.post('/api/stylecode/assign/async', async (req, res) => {
   }
 });
 
+// BOD XML (and JSON sent as text/plain) arrives as a string; JSON bodies are parsed by express.json()
+const ionEventBody = express.text({
+  type: ['application/xml', 'text/xml', 'application/*+xml', 'text/plain'],
+  limit: ION_EVENT_MAX_BODY
+});
+
+/**
+ * Assignment trigger for ION API / ION Connect events
+ * POST /api/ion/events
+ * Body: a JSON event envelope or a BOD-style XML document (see ionEventParser.js for the
+ *       StyleId / user / event ID paths and how to configure them)
+ *
+ * Queues an async assignment and answers 202 (ION counts any 2xx as delivered)
+ * 400 for events that can never be processed, 429 + Retry-After when the queue is full
+ * A redelivered event (same messageId / BODID) gets the job created the first time
+ */
+app.post('/api/ion/events', requireCaller, ionEventBody, (req, res) => {
+  try {
+    let event;
+    try {
+      event = ionEventParser.parse(req.body);
+    } catch (error) {
+      if (!(error instanceof IonEventError)) {
+        throw error;
+      }
+      log.warn('ION event rejected', { error: error.message, ...error.details });
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+
+    const styleId = parseStyleId(event.styleIdValue);
+    if (!styleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid StyleId in event',
+        received: event.styleIdValue,
+        path: event.styleIdPath
+      });
+    }
+
+    log.info('ION event received', {
+      styleId,
+      format: event.format,
+      documentName: event.documentName,
+      eventId: event.eventId,
+      requestedBy: event.requestedBy
+    });
+
+    const accepted = (job, deduplicated) => res.status(202).json({
+      success: true,
+      accepted: true,
+      deduplicated,
+      jobId: job.id,
+      styleId,
+      status: job.status,
+      eventId: event.eventId,
+      documentName: event.documentName,
+      format: event.format,
+      statusUrl: `/api/job/${job.id}`
+    });
+
+    if (event.eventId) {
+      const previousJob = jobService.findLatestJob('stylecode_assignment', payload => payload.eventId === event.eventId);
+      if (previousJob) {
+        log.info('ION event already received, returning its job', { eventId: event.eventId, jobId: previousJob.id });
+        return accepted(previousJob, true);
+      }
+    }
+
+    const context = requestContext(req, 'ion');
+    context.requestedBy = event.requestedBy || context.requestedBy;
+
+    const { job, deduplicated, refusal } = createAssignmentJob(styleId, context, {
+      payload: { channel: 'ion', eventId: event.eventId, documentName: event.documentName }
+    });
+    if (refusal) {
+      return sendQueueFull(res, refusal);
+    }
+
+    accepted(job, deduplicated);
+
+  } catch (error) {
+    log.error('Request failed', { route: '/api/ion/events', error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Preview the next StyleCode for a style (dry run)
+ * POST /api/stylecode/preview
+ * Body: { "StyleId": "StyleId eq 36152" } or { "styleId": 36152 }
+ *
+ * Does not update PLM, sync search data or consume a sequence number
+ */
+app.post('/api/stylecode/preview', requireCaller, async (req, res) => {
+  try {
+    const styleIdInput = req.body.StyleId || req.body.styleId;
+
+    const styleId = parseStyleId(styleIdInput);
+
+    if (!styleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: StyleId',
+        received: styleIdInput
+      });
+    }
+
+    const preview = await plmService.previewStyleCode(styleId);
+
+    res.json({
+      success: true,
+      message: preview.wouldSkip ? 'Style would be skipped (already numbered)' : 'StyleCode preview generated',
+      data: preview
+    });
+
+  } catch (error) {
+    log.error('Request failed', { route: '/api/stylecode/preview', error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data || null
+    });
+  }
+});
+
+/**
+ * Roll back the last StyleCode assignment of a style
+ * POST /api/stylecode/rollback
+ * Body: { "StyleId": "StyleId eq 36152" } or { "styleId": 36152 }
+ *
+ * Restores the previous StyleCode / PatternSpecNumber and frees the sequence
+ * number if it is still the latest in its scope
+ * 404 when nothing was assigned, 409 when the code was changed since
+ */
+app.post('/api/stylecode/rollback', requireAdmin, idempotency, async (req, res) => {
+  try {
+    const styleIdInput = req.body.StyleId || req.body.styleId;
+
+    const styleId = parseStyleId(styleIdInput);
+
+    if (!styleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: StyleId',
+        received: styleIdInput
+      });
+    }
+
+    log.info('StyleCode rollback request received', { styleId, sourceIp: req.ip });
+
+    // Runs in the style's partition so it cannot interleave with an assignment in the same scope
+    const result = await queueService.addTask(
+      () => plmService.rollbackStyleCode(styleId, requestContext(req, 'rollback')),
+      `Rollback StyleId: ${styleId}`,
+      { ...assignmentQueueOptions(styleId, req.auth.name), dedupeKey: `rollback:${styleId}` }
+    );
+
+    if (!result.rolledBack) {
+      return res.status(result.refusal === 'no_assignment' ? 404 : 409).json({
+        success: false,
+        error: result.reason,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'StyleCode assignment rolled back',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+
+    log.error('Request failed', { route: '/api/stylecode/rollback', error });
+
+    const { transient, category } = classifyError(error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      errorType: transient ? 'transient' : 'permanent',
+      errorCategory: category,
+      details: error.response?.data || null
+    });
+  }
+});
+
+/**
+ * Set an explicit StyleCode on a style (manual override)
+ * POST /api/stylecode/set
+ * Body: { "styleId": 36152, "styleCode": "TW6260004087", "reason": "Carry-over from W525" }
+ *
+ * For carry-over or licensor-dictated codes. The code must match the style's template and
+ * brand/season/category prefix and must not be used by another style (400 / 409 otherwise)
+ * Patched and synced like a normal assignment, audited as "overridden" and can be rolled back
+ */
+app.post('/api/stylecode/set', requireAdmin, idempotency, async (req, res) => {
+  try {
+    const styleIdInput = req.body.StyleId || req.body.styleId;
+    const styleCodeInput = req.body.StyleCode || req.body.styleCode;
+
+    const styleId = parseStyleId(styleIdInput);
+
+    if (!styleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: StyleId',
+        received: styleIdInput
+      });
+    }
+
+    if (typeof styleCodeInput !== 'string' || !styleCodeInput.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: styleCode',
+        received: styleCodeInput === undefined ? null : styleCodeInput
+      });
+    }
+
+    const styleCode = styleCodeInput.trim();
+    const context = { ...requestContext(req, 'override'), reason: req.body.reason || null };
+
+    log.info('Manual StyleCode override request received', { styleId, styleCode, sourceIp: req.ip });
+
+    // Runs in the style's partition so the ledger cannot move under it
+    const result = await queueService.addTask(
+      () => plmService.setStyleCode(styleId, styleCode, context),
+      `Set StyleId: ${styleId} -> ${styleCode}`,
+      { ...assignmentQueueOptions(styleId, req.auth.name), dedupeKey: `set:${styleId}:${styleCode}` }
+    );
+
+    if (!result.success) {
+      return res.status(result.refusal === 'duplicate' ? 409 : 400).json({
+        success: false,
+        error: result.reason,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.applied ? 'StyleCode overridden successfully' : 'Style already has this StyleCode',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+
+    log.error('Request failed', { route: '/api/stylecode/set', error });
+
+    const { transient, category } = classifyError(error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      errorType: transient ? 'transient' : 'permanent',
+      errorCategory: category,
+      details: error.response?.data || null
+    });
+  }
+});
+
+/**
+ * Sequence audit report (duplicates, gaps, prefix mismatches, temporary codes)
+ * GET /api/stylecode/audit?seasonId=10&productSubSubCategoryId=43&format=json|csv
+ * Omit productSubSubCategoryId to audit the whole season
+ */
+app.get('/api/stylecode/audit', requireCaller, async (req, res) => {
+  try {
+    const seasonId = parseInt(req.query.seasonId, 10);
+    const productSubSubCategoryId = req.query.productSubSubCategoryId
+      ? parseInt(req.query.productSubSubCategoryId, 10)
+      : null;
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!seasonId || Number.isNaN(productSubSubCategoryId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid query parameter: seasonId (productSubSubCategoryId is optional)',
+        received: req.query
+      });
+    }
+
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format (expected json or csv)',
+        received: req.query.format
+      });
+    }
+
+    const report = await sequenceAuditService.audit(seasonId, productSubSubCategoryId);
+
+    if (format === 'csv') {
+      const fileName = `stylecode-audit-${seasonId}${productSubSubCategoryId ? `-${productSubSubCategoryId}` : ''}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(toCsv(sequenceAuditService.toFindingRows(report), sequenceAuditService.findingColumns));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    log.error('Request failed', { route: '/api/stylecode/audit', error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data || null
+    });
+  }
+});
+
+/**
+ * Assignment audit log (newest first)
+ * GET /api/audit?styleId=&seasonId=&productSubSubCategoryId=&outcome=&from=&to=&limit=&format=json|csv
+ * from / to are ISO dates or timestamps
+ */
+app.get('/api/audit', requireCaller, async (req, res) => {
+  try {
+    const filters = {};
+
+    for (const key of ['styleId', 'seasonId', 'productSubSubCategoryId', 'limit']) {
+      if (req.query[key] !== undefined) {
+        const value = parseInt(req.query[key], 10);
+        if (Number.isNaN(value) || value < 1) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid query parameter: ${key}`,
+            received: req.query[key]
+          });
+        }
+        filters[key] = value;
+      }
+    }
+
+    for (const key of ['from', 'to']) {
+      if (req.query[key] !== undefined) {
+        if (Number.isNaN(new Date(req.query[key]).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid query parameter: ${key} (expected an ISO date)`,
+            received: req.query[key]
+          });
+        }
+        filters[key] = req.query[key];
+      }
+    }
+
+    if (req.query.outcome) {
+      filters.outcome = req.query.outcome;
+    }
+
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format (expected json or csv)',
+        received: req.query.format
+      });
+    }
+
+    const { total, records } = await assignmentAuditLog.query(filters);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="stylecode-assignment-audit.csv"');
+      return res.send(toCsv(records, assignmentAuditLog.columns));
+    }
+
+    res.json({
+      success: true,
+      total,
+      count: records.length,
+      data: records
+    });
+
+  } catch (error) {
+    log.error('Request failed', { route: '/api/audit', error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get job status
  * GET /api/job/:jobId
  */
-app.get('/api/job/:jobId', (req, res) => {
+app.get('/api/job/:jobId', requireCaller, (req, res) => {
   const { jobId } = req.params;
   
   const job = jobService.getJob(jobId);
@@ -233,11 +1011,92 @@ app.get('/api/job/:jobId', (req, res) => {
   });
 });
 
+/**
+ * Open a Server-Sent Events stream
+ * Sends a heartbeat comment every 15s so Heroku's router keeps the connection open
+ * @returns {Function} send(event, data)
+ */
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * Stream job status transitions and queue position (Server-Sent Events)
+ * GET /api/job/:jobId/events
+ * Events: status, position. The stream closes when the job completes or fails.
+ */
+app.get('/api/job/:jobId/events', requireCallerStream, (req, res) => {
+  const { jobId } = req.params;
+
+  const job = jobService.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: jobId
+    });
+  }
+
+  const isTerminal = status => status === 'completed' || status === 'failed';
+  let lastPosition = null;
+
+  const onStatus = updated => {
+    if (updated.id !== jobId) {
+      return;
+    }
+    send('status', updated);
+    if (isTerminal(updated.status)) {
+      res.end();
+    }
+  };
+
+  const onQueueChange = () => {
+    const position = queueService.getJobPosition(jobId);
+    const serialized = JSON.stringify(position);
+    if (position && serialized !== lastPosition) {
+      lastPosition = serialized;
+      send('position', { jobId, ...position });
+    }
+  };
+
+  const send = openEventStream(req, res, () => {
+    jobService.off('statusChanged', onStatus);
+    queueService.off('changed', onQueueChange);
+  });
+
+  send('status', job);
+  if (isTerminal(job.status)) {
+    return res.end();
+  }
+
+  onQueueChange();
+  jobService.on('statusChanged', onStatus);
+  queueService.on('changed', onQueueChange);
+});
+
 /**
  * Get all jobs
  * GET /api/jobs?status=completed
  */
-app.get('/api/jobs', (req, res) => {
+app.get('/api/jobs', requireCaller, (req, res) => {
   const { status } = req.query;
   const jobs = jobService.getAllJobs(status);
   
@@ -252,7 +1111,7 @@ app.get('/api/jobs', (req, res) => {
  * Get job statistics
  * GET /api/jobs/stats
  */
-app.get('/api/jobs/stats', (req, res) => {
+app.get('/api/jobs/stats', requireCaller, (req, res) => {
   const stats = jobService.getStats();
   res.json({
     success: true,
@@ -264,7 +1123,7 @@ app.get('/api/jobs/stats', (req, res) => {
  * Get queue statistics
  * GET /api/queue/stats
  */
-app.get('/api/queue/stats', (req, res) => {
+app.get('/api/queue/stats', requireCaller, (req, res) => {
   const stats = queueService.getStats();
   res.json({
     success: true,
@@ -272,11 +1131,177 @@ app.get('/api/queue/stats', (req, res) => {
   });
 });
 
+/**
+ * Stream queue changes (Server-Sent Events)
+ * GET /api/queue/events
+ * Events: queue (sent on connect and on every add/start/finish)
+ */
+app.get('/api/queue/events', requireCallerStream, (req, res) => {
+  const snapshot = change => {
+    const stats = queueService.getStats();
+    return {
+      reason: change.reason,
+      item: change.item,
+      queueSize: stats.queueSize,
+      inProgress: stats.inProgress,
+      activePartitions: stats.activePartitions,
+      pendingTasks: stats.pendingTasks.map((task, index) => ({ ...task, position: index + 1 }))
+    };
+  };
+
+  const onQueueChange = change => send('queue', snapshot(change));
+
+  const send = openEventStream(req, res, () => {
+    queueService.off('changed', onQueueChange);
+  });
+
+  send('queue', snapshot({ reason: 'connected', item: null }));
+  queueService.on('changed', onQueueChange);
+});
+
+/**
+ * Get sequence ledger (last issued sequence per scope)
+ * GET /api/ledger
+ */
+app.get('/api/ledger', requireCaller, (req, res) => {
+  const entries = sequenceLedger.getAll();
+  res.json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+/**
+ * Reconcile sequence ledger against PLM now
+ * POST /api/ledger/reconcile
+ */
+app.post('/api/ledger/reconcile', requireAdmin, async (req, res) => {
+  try {
+    const results = await plmService.reconcileSequenceLedger();
+    res.json({
+      success: true,
+      message: 'Sequence ledger reconciled',
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List styles whose syncSearchData task failed and is queued for retry
+ * GET /api/sync/failures?status=pending|failed
+ * pending: retried automatically with backoff, failed: attempts exhausted, replay by hand
+ */
+app.get('/api/sync/failures', requireCaller, (req, res) => {
+  const { status } = req.query;
+
+  if (status && !SYNC_RETRY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status: ${status} (expected ${SYNC_RETRY_STATUSES.join(' or ')})`
+    });
+  }
+
+  const entries = syncRetryQueue.getAll(status || null);
+  res.json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+/**
+ * Replay every queued sync now
+ * POST /api/sync/failures/replay
+ * Body (optional): { "status": "failed" }
+ */
+app.post('/api/sync/failures/replay', requireAdmin, async (req, res) => {
+  const status = (req.body && req.body.status) || null;
+
+  if (status && !SYNC_RETRY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status: ${status} (expected ${SYNC_RETRY_STATUSES.join(' or ')})`
+    });
+  }
+
+  try {
+    const results = await syncRetryQueue.replayAll(status);
+    const synced = results.filter(result => result.synced).length;
+
+    res.json({
+      success: true,
+      message: `${synced} of ${results.length} sync(s) replayed successfully`,
+      summary: { total: results.length, synced, failed: results.length - synced },
+      data: results
+    });
+  } catch (error) {
+    log.error('Request failed', { route: '/api/sync/failures/replay', error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay the queued sync of one style now
+ * POST /api/sync/failures/:styleId/replay
+ * 404 when the style has no queued sync, 500 when PLM rejects it again
+ */
+app.post('/api/sync/failures/:styleId/replay', requireAdmin, async (req, res) => {
+  const styleId = parseStyleId(req.params.styleId);
+
+  if (!styleId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid StyleId',
+      received: req.params.styleId
+    });
+  }
+
+  try {
+    const result = await syncRetryQueue.retry(styleId, 'manual');
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No queued sync for StyleId ${styleId}`
+      });
+    }
+
+    if (!result.synced) {
+      return res.status(500).json({
+        success: false,
+        error: `Sync failed again: ${result.entry.error}`,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Style synced to search data',
+      data: result
+    });
+  } catch (error) {
+    log.error('Request failed', { route: '/api/sync/failures/:styleId/replay', error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get token information
  * GET /api/token/info
  */
-app.get('/api/token/info', (req, res) => {
+app.get('/api/token/info', requireAdmin, (req, res) => {
   const tokenInfo = tokenService.getTokenInfo();
   const configInfo = tokenService.getConfigInfo();
   
@@ -293,7 +1318,7 @@ app.get('/api/token/info', (req, res) => {
  * Refresh token manually
  * POST /api/token/refresh
  */
-app.post('/api/token/refresh', async (req, res) => {
+app.post('/api/token/refresh', requireAdmin, async (req, res) => {
   try {
     await tokenService.refreshToken();
     const tokenInfo = tokenService.getTokenInfo();
@@ -311,12 +1336,26 @@ app.post('/api/token/refresh', async (req, res) => {
   }
 });
 
+/**
+ * Configured API keys, without secrets (admin)
+ * GET /api/auth/keys
+ * Use to confirm a rotation: the keys file is re-read within seconds of a change
+ */
+app.get('/api/auth/keys', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: authService.getInfo()
+  });
+});
+
 /**
  * Batch StyleCode assignment
  * POST /api/stylecode/assign/batch
  * Body: { "styleIds": ["StyleId eq 36152", "StyleId eq 36153"] } or { "styleIds": [36152, 36153] }
+ *
+ * ⚠️  Waits for every style: use /api/stylecode/assign/batch/async for more than a few styles
  */
-app.post('/api/stylecode/assign/batch', async (req, res) => {
+app.post('/api/stylecode/assign/batch', requireCaller, idempotency, async (req, res) => {
   try {
     const { styleIds: styleIdsInput } = req.body;
 
@@ -338,19 +1377,30 @@ app.post('/api/stylecode/assign/batch', async (req, res) => {
       });
     }
 
-    console.log(`\n📨 Batch StyleCode assignment request received`);
-    console.log(`   Number of styles: ${styleIds.length}`);
-    console.log(`   StyleIds: ${styleIds.join(', ')}`);
+    log.info('Batch StyleCode assignment request received', { mode: 'sync', count: styleIds.length, styleIds });
+
+    const context = requestContext(req, 'batch');
+
+    // All or nothing: a batch that does not fit is refused as a whole instead of half-queued
+    // (styles already queued are joined, not added)
+    const newTasks = new Set(styleIds.filter(styleId => !queueService.findByDedupeKey(`assign:${styleId}`))).size;
+    const refusal = newTasks > 0 ? queueService.checkCapacity(context.client, newTasks) : null;
+    if (refusal) {
+      log.warn('Batch request refused', { count: styleIds.length, reason: refusal.reason });
+      return sendQueueFull(res, refusal);
+    }
 
-    // Add all to queue
+    // Add all to queue (unbounded: capacity was checked for the whole batch above)
     const promises = styleIds.map(styleId =>
       queueService.addTask(
-        () => plmService.processStyleCodeAssignment(styleId),
-        `StyleId: ${styleId}`
+        () => plmService.processStyleCodeAssignment(styleId, context),
+        `StyleId: ${styleId}`,
+        { ...assignmentQueueOptions(styleId, context.client), unbounded: true }
       ).catch(error => ({
         styleId,
         success: false,
-        error: error.message
+        error: error.message,
+        errorType: classifyError(error).transient ? 'transient' : 'permanent'
       }))
     );
 
@@ -371,7 +1421,7 @@ app.post('/api/stylecode/assign/batch', async (req, res) => {
     });
 
   } catch (error) {
-    console.error(`❌ Error in /api/stylecode/assign/batch:`, error.message);
+    log.error('Request failed', { route: '/api/stylecode/assign/batch', error });
     
     res.status(500).json({
       success: false,
@@ -380,11 +1430,209 @@ app.post('/api/stylecode/assign/batch', async (req, res) => {
   }
 });
 
+/**
+ * Batch StyleCode assignment (Asynchronous - Recommended for more than a few styles)
+ * POST /api/stylecode/assign/batch/async
+ * Body: { "styleIds": ["StyleId eq 36152", "StyleId eq 36153"] } or { "styleIds": [36152, 36153] }
+ *       optional: "callbackUrl", "callbackSecret" (called once, when the whole batch has finished)
+ *
+ * Creates a parent batch job with one child assignment job per StyleId and returns immediately
+ * Progress and per-style results: GET /api/batch/:batchId
+ */
+app.post('/api/stylecode/assign/batch/async', requireCaller, idempotency, async (req, res) => {
+  try {
+    const { styleIds: styleIdsInput, callbackUrl, callbackSecret } = req.body;
+
+    if (!styleIdsInput || !Array.isArray(styleIdsInput) || styleIdsInput.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid field: styleIds (must be non-empty array)'
+      });
+    }
+
+    // Parse all StyleIds (a StyleId listed twice gets one child job)
+    const styleIds = [...new Set(styleIdsInput.map(parseStyleId).filter(id => id !== null))];
+
+    if (styleIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid StyleIds found in the request',
+        received: styleIdsInput
+      });
+    }
+
+    if (callbackUrl) {
+      const callbackError = webhookService.validateCallbackUrl(callbackUrl);
+      if (callbackError) {
+        return res.status(400).json({
+          success: false,
+          error: callbackError,
+          received: callbackUrl
+        });
+      }
+    }
+
+    log.info('Batch StyleCode assignment request received', { mode: 'async', count: styleIds.length, styleIds });
+
+    const context = requestContext(req, 'batch');
+
+    // A style that already has a pending or running job gets that job as its batch child
+    const activeJobIds = styleIds.map(styleId => {
+      const activeJob = jobService.findActiveJob('stylecode_assignment', payload => payload.styleId === styleId);
+      return activeJob ? activeJob.id : null;
+    });
+    const newCount = activeJobIds.filter(jobId => !jobId).length;
+
+    // All or nothing, like the sync batch
+    const refusal = newCount > 0 ? queueService.checkCapacity(context.client, newCount) : null;
+    if (refusal) {
+      log.warn('Async batch request refused', { count: styleIds.length, reason: refusal.reason });
+      return sendQueueFull(res, refusal);
+    }
+
+    const requester = {
+      client: context.client,
+      requestedBy: context.requestedBy,
+      sourceIp: context.sourceIp
+    };
+    const { batchId, childJobIds } = jobService.createBatchJob(
+      'stylecode_batch',
+      { styleIds, ...requester },
+      'stylecode_assignment',
+      styleIds.map((styleId, index) => activeJobIds[index] || { styleId, ...requester }),
+      { callbackUrl, callbackSecret }
+    );
+
+    childJobIds.forEach((jobId, index) => {
+      if (!activeJobIds[index]) {
+        enqueueAssignmentJob(jobId, styleIds[index], context);
+      }
+    });
+
+    const deduplicatedStyleIds = styleIds.filter((styleId, index) => activeJobIds[index]);
+    if (deduplicatedStyleIds.length > 0) {
+      log.info('Batch reuses active jobs', { batchId, styleIds: deduplicatedStyleIds });
+    }
+
+    res.json({
+      success: true,
+      message: `Batch of ${styleIds.length} StyleCode assignments created`,
+      batchId,
+      total: styleIds.length,
+      jobIds: childJobIds,
+      deduplicatedStyleIds,
+      estimatedCompletionSeconds: Math.ceil(queueService.estimateWaitMs() / 1000),
+      statusUrl: `/api/batch/${batchId}`,
+      csvUrl: `/api/batch/${batchId}?format=csv`,
+      eventsUrl: `/api/job/${batchId}/events`,
+      callbackUrl: callbackUrl || null
+    });
+
+  } catch (error) {
+    log.error('Request failed', { route: '/api/stylecode/assign/batch/async', error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+const BATCH_CSV_COLUMNS = [
+  'styleId',
+  'jobId',
+  'status',
+  'outcome',
+  'oldStyleCode',
+  'newStyleCode',
+  'patternSpecNumber',
+  'syncedToSearchData',
+  'reason',
+  'error',
+  'errorType'
+];
+
+/**
+ * Per-style result row of a batch child job
+ */
+function batchResultRow(child) {
+  const result = child.result || {};
+  let outcome = null;
+  if (child.status === 'failed') {
+    outcome = 'failed';
+  } else if (child.status === 'completed') {
+    outcome = result.skipped ? 'skipped' : 'assigned';
+  }
+
+  return {
+    styleId: child.payload ? child.payload.styleId : null,
+    jobId: child.id,
+    status: child.status,
+    outcome,
+    oldStyleCode: result.skipped ? result.currentStyleCode : (result.oldStyleCode || null),
+    newStyleCode: result.newStyleCode || null,
+    patternSpecNumber: result.patternSpecNumber || null,
+    syncedToSearchData: result.syncedToSearchData === undefined ? null : result.syncedToSearchData,
+    reason: result.reason || null,
+    error: child.error || null,
+    errorType: child.errorType || null
+  };
+}
+
+/**
+ * Batch progress and per-style results
+ * GET /api/batch/:batchId?format=json|csv
+ */
+app.get('/api/batch/:batchId', requireCaller, (req, res) => {
+  const { batchId } = req.params;
+  const format = (req.query.format || 'json').toLowerCase();
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'format must be json or csv',
+      received: req.query.format
+    });
+  }
+
+  const batch = jobService.getBatch(batchId);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found',
+      batchId
+    });
+  }
+
+  const results = batch.children.map(batchResultRow);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="batch-${batchId}.csv"`);
+    return res.send(toCsv(results, BATCH_CSV_COLUMNS));
+  }
+
+  const { children, ...job } = batch;
+  res.json({
+    success: true,
+    data: {
+      ...job,
+      summary: {
+        ...batch.progress,
+        assigned: results.filter(row => row.outcome === 'assigned').length,
+        skipped: results.filter(row => row.outcome === 'skipped').length
+      },
+      results
+    }
+  });
+});
+
 /**
  * Clear queue (for testing)
  * POST /api/queue/clear
  */
-app.post('/api/queue/clear', (req, res) => {
+app.post('/api/queue/clear', requireAdmin, (req, res) => {
   queueService.clear();
   res.json({
     success: true,
@@ -396,7 +1644,7 @@ app.post('/api/queue/clear', (req, res) => {
  * Reset queue statistics (for testing)
  * POST /api/queue/reset-stats
  */
-app.post('/api/queue/reset-stats', (req, res) => {
+app.post('/api/queue/reset-stats', requireAdmin, (req, res) => {
   queueService.resetStats();
   res.json({
     success: true,
@@ -406,7 +1654,18 @@ app.post('/api/queue/reset-stats', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  // Body parser errors carry their own status: 413 for a body over the limit, 400 for malformed JSON
+  if (error.status >= 400 && error.status < 500) {
+    log.warn('Request body rejected', { method: req.method, path: req.path, status: error.status, type: error.type });
+    return res.status(error.status).json({
+      success: false,
+      error: error.status === 413 ? 'Request body too large' : 'Invalid request body',
+      message: error.message,
+      type: error.type || null
+    });
+  }
+
+  log.error('Unhandled error', { method: req.method, path: req.path, error });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -423,35 +1682,91 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('\n' + '═'.repeat(70));
-  console.log('🚀 StyleCode Numerator API Server Started');
-  console.log('═'.repeat(70));
-  console.log(`📍 Server URL: http://localhost:${PORT}`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`🌍 Environment: ${tokenService.getConfigInfo().environment}`);
-  console.log(`🏢 Tenant: ${tokenService.getConfigInfo().tenantId}`);
-  console.log(`⚙️  Optimized for: Heroku Basic Dyno (single instance)`);
-  console.log('═'.repeat(70));
-  console.log('\n📋 Available Endpoints:');
-  console.log('   GET  /                              - Health check & info');
-  console.log('   POST /api/stylecode/assign          - Assign StyleCode (sync - may timeout)');
-  console.log('   POST /api/stylecode/assign/async    - Assign StyleCode (async - recommended)');
-  console.log('   POST /api/stylecode/assign/batch    - Assign StyleCode (batch)');
-  console.log('   GET  /api/job/:jobId                - Get job status');
-  console.log('   GET  /api/jobs                      - Get all jobs');
-  console.log('   GET  /api/jobs/stats                - Get job statistics');
-  console.log('   GET  /api/queue/stats               - Get queue statistics');
-  console.log('   POST /api/queue/clear               - Clear queue (testing)');
-  console.log('   POST /api/queue/reset-stats         - Reset stats (testing)');
-  console.log('   GET  /api/token/info                - Get token info');
-  console.log('   POST /api/token/refresh             - Refresh token');
-  console.log('═'.repeat(70));
-  console.log('\n⚡ Heroku Optimization:');
-  console.log('   Use /api/stylecode/assign/async to prevent 30s timeout');
-  console.log('   Poll /api/job/:jobId every 2s to check status');
-  console.log('═'.repeat(70) + '\n');
-});
+/**
+ * Reconcile the sequence ledger against PLM on a schedule
+ */
+let ledgerReconcileRunning = false;
+
+function scheduleLedgerReconciliation() {
+  if (!LEDGER_RECONCILE_INTERVAL_MS) {
+    log.info('Sequence ledger reconciliation disabled');
+    return;
+  }
+
+  const timer = setInterval(async () => {
+    if (ledgerReconcileRunning) {
+      return;
+    }
+
+    ledgerReconcileRunning = true;
+    try {
+      await plmService.reconcileSequenceLedger();
+    } catch (error) {
+      log.error('Scheduled ledger reconciliation failed', { error });
+    } finally {
+      ledgerReconcileRunning = false;
+    }
+  }, LEDGER_RECONCILE_INTERVAL_MS);
+
+  timer.unref();
+}
+
+/**
+ * Validate the configuration and start listening
+ * Jobs left by a previous run are re-enqueued and ledger reconciliation is scheduled
+ * @param {number} port - Port (0 picks a free one)
+ * @returns {http.Server} Server
+ * @throws {Error} If the ION API or authentication configuration is incomplete
+ */
+function start(port = PORT) {
+  // Refuse to start without a complete configuration
+  try {
+    configService.validate();
+  } catch (error) {
+    log.error('Invalid configuration', {
+      error: error.message,
+      hint: 'Provide an .ionapi file (IONAPI_FILE / IONAPI_FILE_<PROFILE>), IONAPI_JSON or ION_* environment variables'
+    });
+    throw error;
+  }
+
+  try {
+    authService.validate();
+  } catch (error) {
+    log.error('Invalid authentication configuration', { error: error.message });
+    throw error;
+  }
+
+  const server = app.listen(port, () => {
+    scheduleLedgerReconciliation();
+    recoverPendingJobs();
+    webhookService.resumePendingDeliveries();
+    syncRetryQueue.resumePendingRetries();
+
+    const listeningPort = server.address().port;
+    log.info('StyleCode Numerator API server started', {
+      port: listeningPort,
+      docs: `http://localhost:${listeningPort}/api-docs`,
+      environment: tokenService.getConfigInfo().environment,
+      profile: configService.profile,
+      configSources: configService.sources,
+      tenant: tokenService.getConfigInfo().tenantId,
+      authentication: authService.disabled ? 'disabled' : `${authService.getKeys().length} API key(s)`,
+      logLevel: process.env.LOG_LEVEL || 'info'
+    });
+  });
+
+  return server;
+}
+
+// Started directly (npm start / Procfile); tests require the module and call start() themselves
+if (require.main === module) {
+  try {
+    start();
+  } catch (error) {
+    process.exit(1);
+  }
+}
 
 module.exports = app;
+module.exports.start = start;
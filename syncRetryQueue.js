@@ -0,0 +1,309 @@
+/**
+ * Sync Retry Queue
+ * Persistent queue of styles whose syncSearchData task failed after a StyleCode change
+ * Entries are re-attempted with exponential backoff until the sync succeeds or the attempts run out;
+ * exhausted entries stay listed as failed until replayed by hand
+ *
+ * The sync itself is sent by PLMService, which registers it through setHandler()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jobService = require('./jobService');
+const { classifyError } = require('./plmClient');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child({ component: 'syncRetry' });
+
+const DEFAULT_SYNC_RETRY_FILE = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'sync-retries.json');
+
+const SYNC_RETRY_STATUSES = ['pending', 'failed'];
+
+const syncRetryOutcomes = metrics.counter('sync_retries_total', 'syncSearchData retry attempts', { labelNames: ['trigger', 'outcome'] });
+
+class SyncRetryQueue {
+  constructor() {
+    this.filePath = process.env.SYNC_RETRY_FILE || DEFAULT_SYNC_RETRY_FILE;
+    this.maxAttempts = parseInt(process.env.SYNC_RETRY_MAX_ATTEMPTS || '8', 10);
+    this.baseDelayMs = parseInt(process.env.SYNC_RETRY_BASE_MS || '30000', 10);
+    this.maxDelayMs = parseInt(process.env.SYNC_RETRY_MAX_MS || `${60 * 60 * 1000}`, 10);
+
+    this.entries = {};
+    this.timers = new Map();
+    this.running = new Map();
+    this.handler = null;
+    this.load();
+
+    metrics.gauge('sync_retry_queue', 'Styles waiting for a syncSearchData retry, by status', {
+      labelNames: ['status'],
+      collect: () => SYNC_RETRY_STATUSES.map(status => ({
+        labels: { status },
+        value: this.getAll(status).length
+      }))
+    });
+  }
+
+  /**
+   * Load entries from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.entries = raw.entries || {};
+
+    log.info('Sync retry queue loaded', { entries: Object.keys(this.entries).length, file: this.filePath });
+  }
+
+  /**
+   * Write entries to disk (temp file + rename, so a crash never leaves half a file)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ entries: this.entries }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Register the function that sends the sync task
+   * @param {Function} handler - async (styleId) => void, throws when the sync fails
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Backoff delay before a given retry
+   * @param {number} attempt - Attempts made so far (1 = the original sync)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempt - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Describe a failed sync attempt
+   * @param {Error} error - Error thrown by the sync
+   * @returns {Object} { error, statusCode, errorCategory }
+   */
+  describeError(error) {
+    const classification = classifyError(error);
+    return {
+      error: error.message,
+      statusCode: classification.status || null,
+      errorCategory: classification.category
+    };
+  }
+
+  /**
+   * Queue a style whose sync just failed
+   * A newer failure for the same style replaces the old entry and starts the backoff over
+   * @param {number} styleId - Style ID
+   * @param {Object} details - { styleCode, source ('assign', 'override' or 'rollback'), error }
+   * @returns {Object} Queue entry
+   */
+  add(styleId, details = {}) {
+    const now = new Date();
+    const delay = this.getRetryDelay(1);
+
+    this.entries[styleId] = {
+      styleId,
+      styleCode: details.styleCode || null,
+      source: details.source || null,
+      status: 'pending',
+      attempts: 1,
+      firstFailedAt: now.toISOString(),
+      lastAttemptAt: now.toISOString(),
+      nextAttemptAt: new Date(now.getTime() + delay).toISOString(),
+      ...(details.error ? this.describeError(details.error) : { error: null, statusCode: null, errorCategory: null })
+    };
+    this.save();
+    this.schedule(styleId, delay);
+
+    log.warn('Sync queued for retry', { styleId, styleCode: details.styleCode, delayMs: delay });
+    return { ...this.entries[styleId] };
+  }
+
+  /**
+   * Drop a queued style after a later sync for it went through
+   * @param {number} styleId - Style ID
+   * @returns {boolean} True if an entry was removed
+   */
+  resolve(styleId) {
+    if (!this.entries[styleId]) {
+      return false;
+    }
+
+    this.cancel(styleId);
+    delete this.entries[styleId];
+    this.save();
+
+    log.info('Queued sync no longer needed', { styleId });
+    return true;
+  }
+
+  /**
+   * Schedule an automatic retry
+   * @param {number} styleId - Style ID
+   * @param {number} delayMs - Delay before the attempt
+   */
+  schedule(styleId, delayMs) {
+    this.cancel(styleId);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(styleId);
+      this.retry(styleId, 'scheduled').catch(error => {
+        log.error('Sync retry error', { styleId, error });
+      });
+    }, delayMs);
+
+    timer.unref();
+    this.timers.set(styleId, timer);
+  }
+
+  /**
+   * Cancel a scheduled retry
+   * @param {number} styleId - Style ID
+   */
+  cancel(styleId) {
+    const timer = this.timers.get(styleId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(styleId);
+    }
+  }
+
+  /**
+   * Re-send the sync for a queued style (one attempt)
+   * Concurrent calls for the same style share the attempt in flight
+   * @param {number} styleId - Style ID
+   * @param {string} trigger - 'scheduled' or 'manual'
+   * @returns {Promise<Object|null>} { styleId, synced, entry }, or null if the style is not queued
+   */
+  retry(styleId, trigger = 'scheduled') {
+    if (!this.entries[styleId]) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.running.has(styleId)) {
+      const attempt = this.attempt(styleId, trigger).finally(() => this.running.delete(styleId));
+      this.running.set(styleId, attempt);
+    }
+
+    return this.running.get(styleId);
+  }
+
+  async attempt(styleId, trigger) {
+    if (!this.handler) {
+      throw new Error('Sync retry handler not registered');
+    }
+
+    this.cancel(styleId);
+    const entry = this.entries[styleId];
+
+    try {
+      await this.handler(styleId);
+    } catch (error) {
+      entry.attempts++;
+      entry.lastAttemptAt = new Date().toISOString();
+      Object.assign(entry, this.describeError(error));
+
+      // Manual replays may go past the limit; an exhausted entry is never rescheduled
+      if (entry.status === 'failed' || entry.attempts >= this.maxAttempts) {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+        log.error('Sync retry gave up', { styleId, attempts: entry.attempts, trigger, error });
+      } else {
+        const delay = this.getRetryDelay(entry.attempts);
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.schedule(styleId, delay);
+        log.warn('Sync retry failed, retrying', { styleId, attempts: entry.attempts, delayMs: delay, trigger, error });
+      }
+
+      this.save();
+      syncRetryOutcomes.inc({ trigger, outcome: 'failed' });
+      return { styleId, synced: false, entry: { ...entry } };
+    }
+
+    delete this.entries[styleId];
+    this.save();
+    syncRetryOutcomes.inc({ trigger, outcome: 'synced' });
+
+    const jobsUpdated = jobService.markSearchDataSynced(styleId);
+    log.info('Sync retry succeeded', { styleId, attempts: entry.attempts + 1, trigger, jobsUpdated });
+
+    return { styleId, synced: true, entry: { ...entry, status: 'synced', attempts: entry.attempts + 1 } };
+  }
+
+  /**
+   * Replay queued syncs now, one after another
+   * @param {string} status - Only entries with this status (optional)
+   * @returns {Promise<Array<Object>>} Retry results
+   */
+  async replayAll(status = null) {
+    const results = [];
+    for (const entry of this.getAll(status)) {
+      results.push(await this.retry(entry.styleId, 'manual'));
+    }
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Get a queued style
+   * @param {number} styleId - Style ID
+   * @returns {Object|null} Queue entry
+   */
+  get(styleId) {
+    return this.entries[styleId] ? { ...this.entries[styleId] } : null;
+  }
+
+  /**
+   * Get queued styles, oldest failure first
+   * @param {string} status - Filter by status ('pending' or 'failed')
+   * @returns {Array<Object>} Queue entries
+   */
+  getAll(status = null) {
+    return Object.values(this.entries)
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => a.firstFailedAt.localeCompare(b.firstFailedAt))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Reschedule pending retries left by a previous run
+   */
+  resumePendingRetries() {
+    const pending = this.getAll('pending');
+
+    for (const entry of pending) {
+      const nextAt = entry.nextAttemptAt ? new Date(entry.nextAttemptAt).getTime() : Date.now();
+      this.schedule(entry.styleId, Math.max(0, nextAt - Date.now()));
+    }
+
+    if (pending.length > 0) {
+      log.info('Resumed pending sync retries', { count: pending.length });
+    }
+  }
+
+  /**
+   * Clear the queue (for testing)
+   */
+  clear() {
+    for (const styleId of this.timers.keys()) {
+      this.cancel(styleId);
+    }
+    this.entries = {};
+    this.save();
+  }
+}
+
+// Create singleton instance
+const syncRetryQueue = new SyncRetryQueue();
+
+module.exports = syncRetryQueue;
+module.exports.SYNC_RETRY_STATUSES = SYNC_RETRY_STATUSES;
@@ -0,0 +1,304 @@
+/**
+ * StyleCode Template Service
+ * Brand / season specific StyleCode layouts
+ * Generation, validation and sequence extraction are all driven from the same template
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'templates' });
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, 'styleCodeTemplates.json');
+
+class TemplateService {
+  constructor() {
+    this.templatesFile = process.env.STYLECODE_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE;
+    this.load();
+  }
+
+  /**
+   * Load and compile templates from the templates file
+   * Structure: { default: {...}, brands: { [Brand.Code]: {...} }, brandSeasons: { ["Brand.Code/Season.Code"]: {...} } }
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.templatesFile, 'utf8'));
+
+    if (!raw.default) {
+      throw new Error(`StyleCode templates file has no default template: ${this.templatesFile}`);
+    }
+
+    this.defaultTemplate = this.compile(raw.default, 'default');
+    this.brandTemplates = {};
+    this.brandSeasonTemplates = {};
+
+    for (const [brandCode, definition] of Object.entries(raw.brands || {})) {
+      this.brandTemplates[brandCode] = this.compile(definition, `brand:${brandCode}`);
+    }
+
+    for (const [key, definition] of Object.entries(raw.brandSeasons || {})) {
+      this.brandSeasonTemplates[key] = this.compile(definition, `brandSeason:${key}`);
+    }
+
+    log.info('StyleCode templates loaded', {
+      brandTemplates: Object.keys(this.brandTemplates).length,
+      brandSeasonTemplates: Object.keys(this.brandSeasonTemplates).length
+    });
+  }
+
+  /**
+   * Validate a template definition and build its matching regex
+   * @param {Object} definition - Template definition from the templates file
+   * @param {string} label - Template id, also used in error messages
+   * @returns {Object} Compiled template
+   */
+  compile(definition, label) {
+    const segments = definition.segments;
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error(`StyleCode template ${label} has no segments`);
+    }
+
+    const sequenceSegments = segments.filter(s => s.type === 'sequence');
+    if (sequenceSegments.length !== 1) {
+      throw new Error(`StyleCode template ${label} must have exactly one sequence segment`);
+    }
+
+    const separator = definition.separator || '';
+    const patternParts = segments.map(segment => {
+      switch (segment.type) {
+        case 'field':
+          if (!segment.source || !Number.isInteger(segment.length) || segment.length < 1) {
+            throw new Error(`StyleCode template ${label}: field segments need a source and a positive length`);
+          }
+          if (segment.padChar !== undefined && (typeof segment.padChar !== 'string' || segment.padChar.length !== 1)) {
+            throw new Error(`StyleCode template ${label}: field padChar must be a single character`);
+          }
+          return `${fieldCharClass(segment)}{${segment.length}}`;
+        case 'literal':
+          if (typeof segment.value !== 'string' || segment.value.length === 0) {
+            throw new Error(`StyleCode template ${label}: literal segments need a non-empty value`);
+          }
+          return escapeRegExp(segment.value);
+        case 'sequence':
+          if (!Number.isInteger(segment.width) || segment.width < 1) {
+            throw new Error(`StyleCode template ${label}: sequence segment needs a positive width`);
+          }
+          if (segment.padChar !== undefined && !/^\d$/.test(segment.padChar)) {
+            throw new Error(`StyleCode template ${label}: sequence padChar must be a digit`);
+          }
+          return `(\\d{${segment.width},})`;
+        default:
+          throw new Error(`StyleCode template ${label}: unknown segment type "${segment.type}"`);
+      }
+    });
+
+    return {
+      id: label,
+      name: definition.name || label,
+      description: definition.description || null,
+      separator,
+      segments,
+      sequence: sequenceSegments[0],
+      regex: new RegExp(`^${patternParts.join(escapeRegExp(separator))}$`)
+    };
+  }
+
+  /**
+   * Resolve the template for a style (brand+season, then brand, then default)
+   * @param {Object} style - Style with Brand and Season expanded
+   * @returns {Object} Compiled template
+   */
+  resolve(style) {
+    const brandCode = style.Brand && style.Brand.Code;
+    const seasonCode = style.Season && style.Season.Code;
+
+    return this.brandSeasonTemplates[`${brandCode}/${seasonCode}`]
+      || this.brandTemplates[brandCode]
+      || this.defaultTemplate;
+  }
+
+  /**
+   * All configured templates
+   * @returns {Array<Object>} Compiled templates
+   */
+  getAll() {
+    return [
+      this.defaultTemplate,
+      ...Object.values(this.brandTemplates),
+      ...Object.values(this.brandSeasonTemplates)
+    ];
+  }
+
+  /**
+   * Find a template by id ("default", "brand:T005", "brandSeason:T005/46")
+   * @param {string} id - Template id
+   * @returns {Object|null} Compiled template
+   */
+  getById(id) {
+    return this.getAll().find(t => t.id === id) || null;
+  }
+
+  /**
+   * Render the non-sequence segments of a template for a style
+   * @param {Object} template - Compiled template
+   * @param {Object} style - Style with Brand, Season and ProductSubSubCategory expanded
+   * @returns {Array<string|null>} Rendered segments (null in place of the sequence)
+   */
+  renderSegments(template, style) {
+    return template.segments.map(segment => {
+      if (segment.type === 'literal') {
+        return segment.value;
+      }
+
+      if (segment.type === 'sequence') {
+        return null;
+      }
+
+      const value = getPath(style, segment.source);
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`StyleCode template ${template.name}: ${segment.source} is empty`);
+      }
+
+      const start = segment.start || 0;
+      let part = String(value).substring(start, start + segment.length);
+
+      if (part.length < segment.length) {
+        if (!segment.padChar) {
+          throw new Error(`StyleCode template ${template.name}: ${segment.source} "${value}" is shorter than ${segment.length} characters`);
+        }
+        part = segment.padSide === 'right'
+          ? part.padEnd(segment.length, segment.padChar)
+          : part.padStart(segment.length, segment.padChar);
+      }
+
+      if (segment.uppercase) {
+        part = part.toUpperCase();
+      }
+
+      // Anything else would give a code the template itself does not match
+      if (!new RegExp(`^${fieldCharClass(segment)}+$`).test(part)) {
+        throw new Error(`StyleCode template ${template.name}: ${segment.source} "${value}" gives "${part}", only letters, digits${segment.padChar ? ` and "${segment.padChar}"` : ''} are allowed`);
+      }
+
+      return part;
+    });
+  }
+
+  /**
+   * Build a full StyleCode
+   * @param {Object} template - Compiled template
+   * @param {Object} style - Style with Brand, Season and ProductSubSubCategory expanded
+   * @param {number} sequence - Sequence number
+   * @returns {string} StyleCode
+   */
+  format(template, style, sequence) {
+    const sequenceStr = sequence.toString().padStart(template.sequence.width, template.sequence.padChar || '0');
+
+    return this.renderSegments(template, style)
+      .map(part => (part === null ? sequenceStr : part))
+      .join(template.separator);
+  }
+
+  /**
+   * Split a style's code layout around the sequence
+   * e.g. { prefix: "TW6260004", suffix: "" } for the standard template
+   * @param {Object} template - Compiled template
+   * @param {Object} style - Style with Brand, Season and ProductSubSubCategory expanded
+   * @returns {Object} { prefix, suffix } including separators
+   */
+  getAffixes(template, style) {
+    const parts = this.renderSegments(template, style);
+    const index = parts.indexOf(null);
+    const before = parts.slice(0, index);
+    const after = parts.slice(index + 1);
+
+    return {
+      prefix: before.length ? before.join(template.separator) + template.separator : '',
+      suffix: after.length ? template.separator + after.join(template.separator) : ''
+    };
+  }
+
+  /**
+   * Build a regex matching a prefix + sequence + suffix, sequence as first capture group
+   * Sequences wider than the template width (1000+ for width 3) still match
+   * @param {Object} template - Compiled template
+   * @param {Object} affixes - { prefix, suffix }
+   * @returns {RegExp} Regex
+   */
+  buildAffixRegex(template, affixes) {
+    return new RegExp(`^${escapeRegExp(affixes.prefix)}(\\d{${template.sequence.width},})${escapeRegExp(affixes.suffix)}$`);
+  }
+
+  /**
+   * Build a regex matching only the codes a specific style's template would produce
+   * (same brand/season/category parts, any sequence)
+   * @param {Object} template - Compiled template
+   * @param {Object} style - Style with Brand, Season and ProductSubSubCategory expanded
+   * @returns {RegExp} Regex with the sequence as first capture group
+   */
+  buildStyleRegex(template, style) {
+    return this.buildAffixRegex(template, this.getAffixes(template, style));
+  }
+
+  /**
+   * Describe the expected layout of a style's codes, e.g. "TW6260004###"
+   * @param {Object} template - Compiled template
+   * @param {Object} style - Style with Brand, Season and ProductSubSubCategory expanded
+   * @returns {string} Expected pattern
+   */
+  describeExpected(template, style) {
+    const { prefix, suffix } = this.getAffixes(template, style);
+    return `${prefix}${'#'.repeat(template.sequence.width)}${suffix}`;
+  }
+
+  /**
+   * Check if a StyleCode matches a template
+   * @param {Object} template - Compiled template
+   * @param {string} styleCode - StyleCode to check
+   * @returns {boolean} True if it matches
+   */
+  matches(template, styleCode) {
+    return typeof styleCode === 'string' && template.regex.test(styleCode);
+  }
+
+  /**
+   * Extract the sequence number from a StyleCode
+   * @param {Object} template - Compiled template
+   * @param {string} styleCode - StyleCode
+   * @returns {number|null} Sequence number, or null if the code does not match the template
+   */
+  extractSequence(template, styleCode) {
+    if (typeof styleCode !== 'string') {
+      return null;
+    }
+
+    const match = styleCode.match(template.regex);
+    return match ? parseInt(match[1], 10) : null;
+  }
+}
+
+/**
+ * Read a dotted path (e.g. "Brand.Code") from an object
+ */
+function getPath(obj, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Characters a field segment may render to: letters and digits, plus its padChar
+ */
+function fieldCharClass(segment) {
+  const padChar = segment.padChar ? segment.padChar.replace(/[\]\\^-]/g, '\\$&') : '';
+  return segment.uppercase ? `[A-Z0-9${padChar}]` : `[A-Za-z0-9${padChar}]`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Create singleton instance
+const templateService = new TemplateService();
+
+module.exports = templateService;
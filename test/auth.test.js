@@ -0,0 +1,37 @@
+/**
+ * API key authentication with a keys file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+let keysDir;
+
+before(async () => {
+  keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stylecode-keys-'));
+  const keysFile = path.join(keysDir, 'api-keys.json');
+
+  // 64 characters, but not hex
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ name: 'broken', role: 'caller', sha256: 'z'.repeat(64) }] }));
+
+  stack = await startStack({ env: { API_KEYS_FILE: keysFile } });
+});
+
+after(async () => {
+  await stack.stop();
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+test('a keys file with a non-hex sha256 is refused and unknown keys get 401', async () => {
+  const unknown = await stack.request('POST', '/api/stylecode/preview', { styleId: 1003 }, { key: 'not-a-configured-key' });
+  assert.equal(unknown.status, 401);
+
+  // Keys from API_KEYS keep working
+  const known = await stack.request('POST', '/api/stylecode/preview', { styleId: 1003 });
+  assert.equal(known.status, 200);
+});
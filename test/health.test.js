@@ -0,0 +1,58 @@
+/**
+ * Readiness checks against the mock PLM
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  stack = await startStack({ env: { HEALTH_READY_CACHE_MS: '0', PLM_CIRCUIT_FAILURE_THRESHOLD: '2' } });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+test('readiness reports every component up', async () => {
+  const { status, body } = await stack.request('GET', '/health/ready');
+
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.components), ['token', 'odata', 'jobTasks', 'circuit', 'queue']);
+  for (const component of Object.values(body.components)) {
+    assert.equal(component.status, 'up');
+    assert.equal(typeof component.latencyMs, 'number');
+  }
+});
+
+test('failing readiness probes do not open the circuit breaker', async () => {
+  stack.mock.failNext('query', { times: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    const { status, body } = await stack.request('GET', '/health/ready');
+    assert.equal(status, 503);
+    assert.equal(body.components.odata.status, 'down');
+    assert.equal(body.components.circuit.status, 'up');
+  }
+
+  const preview = await stack.request('POST', '/api/stylecode/preview', { styleId: 1003 });
+  assert.equal(preview.status, 200);
+});
+
+test('readiness reports an open breaker without sending it a trial request', async () => {
+  // Two failed attempts of one request open the breaker
+  stack.mock.failNext('query', { times: 2 });
+  const preview = await stack.request('POST', '/api/stylecode/preview', { styleId: 1003 });
+  assert.equal(preview.status, 500);
+
+  for (let i = 0; i < 2; i++) {
+    const { status, body } = await stack.request('GET', '/health/ready');
+    assert.equal(status, 503);
+    // The probe still reaches PLM, and its success leaves the breaker open
+    assert.equal(body.components.odata.status, 'up');
+    assert.equal(body.components.circuit.status, 'down');
+    assert.equal(body.components.circuit.state, 'open');
+  }
+});
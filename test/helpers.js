@@ -0,0 +1,115 @@
+/**
+ * Test helpers
+ * Starts the mock PLM / ION API server and the service against it in the test process
+ *
+ * The service modules are singletons configured from the environment when first required,
+ * so every test file gets one stack (node --test runs each file in its own process).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockPlmServer = require('../mockPlmServer');
+
+const CALLER_KEY = 'test-caller-key';
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Start the mock and the service
+ * @param {Object} options - { fixtures, env (extra environment variables), mock (MockPlmServer options) }
+ * @returns {Promise<Object>} { mock, baseUrl, request, waitForJob, stop }
+ */
+async function startStack(options = {}) {
+  const mock = new MockPlmServer({ fixtures: options.fixtures, ...(options.mock || {}) });
+  await mock.start();
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stylecode-test-'));
+
+  Object.assign(process.env, {
+    ...mock.getServiceEnv(),
+    // Never fall back to a real .ionapi file
+    IONAPI_FILE: path.join(dataDir, 'none.ionapi'),
+    PLM_ENV: 'TST',
+    DATA_DIR: dataDir,
+    API_KEYS: `tests:caller:${CALLER_KEY},ops:admin:${ADMIN_KEY}`,
+    LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'silent',
+    SEQUENCE_LEDGER_RECONCILE_INTERVAL_MS: '0',
+    PLM_TEMP_CODE_RETRY_MS: '20',
+    PLM_HTTP_RETRY_BASE_MS: '5',
+    PLM_HTTP_RETRY_MAX_MS: '20',
+    ...(options.env || {})
+  });
+
+  const { start } = require('../server');
+  const server = start(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Call the service
+   * @param {string} method - HTTP method
+   * @param {string} urlPath - Path
+   * @param {Object|string} body - JSON body, or raw text (set Content-Type in headers)
+   * @param {Object} requestOptions - { key (default caller key), headers }
+   * @returns {Promise<Object>} { status, headers, body, text }
+   */
+  async function request(method, urlPath, body, requestOptions = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        'X-API-Key': requestOptions.key || CALLER_KEY,
+        ...(body && typeof body === 'object' ? { 'Content-Type': 'application/json' } : {}),
+        ...(requestOptions.headers || {})
+      },
+      body: body && typeof body === 'object' ? JSON.stringify(body) : body
+    });
+
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (CSV, metrics)
+    }
+
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  /**
+   * Poll until a job (or batch) reaches a final status
+   * @param {string} statusPath - e.g. /api/job/:jobId or /api/batch/:batchId
+   * @param {number} timeoutMs - Give up after (default 10s)
+   * @returns {Promise<Object>} Job data
+   */
+  async function waitForJob(statusPath, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const { body } = await request('GET', statusPath);
+      if (body && body.data && ['completed', 'failed'].includes(body.data.status)) {
+        return body.data;
+      }
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+
+    throw new Error(`${statusPath} did not finish within ${timeoutMs}ms`);
+  }
+
+  async function stop() {
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+    await mock.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { mock, baseUrl, request, waitForJob, stop };
+}
+
+module.exports = {
+  startStack,
+  CALLER_KEY,
+  ADMIN_KEY
+};
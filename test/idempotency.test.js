@@ -0,0 +1,41 @@
+/**
+ * Idempotency-Key replays against the mock PLM
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  // Room for one pending task only, so a two-style batch is refused
+  stack = await startStack({ env: { QUEUE_MAX_DEPTH: '1' } });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+test('a repeated key replays the first response', async () => {
+  const headers = { 'Idempotency-Key': 'assign-1003' };
+
+  const first = await stack.request('POST', '/api/stylecode/assign', { styleId: 1003 }, { headers });
+  const second = await stack.request('POST', '/api/stylecode/assign', { styleId: 1003 }, { headers });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(second.body, first.body);
+  assert.equal(stack.mock.patches.filter(p => p.styleId === 1003).length, 1);
+});
+
+test('a 429 is not stored, so the same key can be retried', async () => {
+  const headers = { 'Idempotency-Key': 'batch-1004-1005' };
+
+  const first = await stack.request('POST', '/api/stylecode/assign/batch', { styleIds: [1004, 1005] }, { headers });
+  const second = await stack.request('POST', '/api/stylecode/assign/batch', { styleIds: [1004, 1005] }, { headers });
+
+  assert.equal(first.status, 429);
+  assert.equal(second.status, 429);
+  assert.equal(second.headers.get('idempotent-replayed'), null);
+});
@@ -0,0 +1,146 @@
+/**
+ * ION API / ION Connect event ingestion against the mock PLM
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    env: {
+      ION_EVENT_STYLE_ID_PATHS: 'data.StyleId,DataArea.Style.StyleId,entity.properties.PlmStyleId',
+      ION_EVENT_USER_PATHS: 'data.user,DataArea.Style.ModifyUser,entity.properties.ChangedBy'
+    }
+  });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+/**
+ * BOD-style XML for a style, as ION Connect sends it
+ */
+function syncStyleBod(bodId, styleId, user) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<SyncStyle xmlns="http://schema.infor.com/InforOAGIS/2" releaseID="9.2">
+  <ApplicationArea>
+    <Sender><LogicalID>lid://infor.fashionplm.1</LogicalID></Sender>
+    <CreationDateTime>2026-10-19T08:00:00Z</CreationDateTime>
+    <BODID>${bodId}</BODID>
+  </ApplicationArea>
+  <DataArea>
+    <Sync><TenantID>MOCK_TST</TenantID></Sync>
+    <Style>
+      <StyleId>${styleId}</StyleId>
+      <ModifyUser>${user}</ModifyUser>
+    </Style>
+  </DataArea>
+</SyncStyle>`;
+}
+
+function postXml(xml) {
+  return stack.request('POST', '/api/ion/events', xml, { headers: { 'Content-Type': 'application/xml' } });
+}
+
+test('a JSON event envelope queues an assignment for the triggering user', async () => {
+  const { status, body } = await stack.request('POST', '/api/ion/events', {
+    specversion: '1.0',
+    id: 'evt-4002',
+    type: 'com.infor.fashionplm.style.approved',
+    data: { StyleId: 'StyleId eq 4002', user: 'ayse.k' }
+  });
+
+  assert.equal(status, 202);
+  assert.equal(body.accepted, true);
+  assert.equal(body.styleId, 4002);
+  assert.equal(body.eventId, 'evt-4002');
+  assert.equal(body.format, 'json');
+
+  const job = await stack.waitForJob(body.statusUrl);
+  assert.equal(job.result.newStyleCode, 'TW7270004002');
+  assert.equal(job.payload.requestedBy, 'ayse.k');
+
+  const audit = await stack.request('GET', '/api/audit?styleId=4002');
+  assert.equal(audit.body.data[0].channel, 'ion');
+  assert.equal(audit.body.data[0].requestedBy, 'ayse.k');
+});
+
+test('a BOD XML document queues an assignment', async () => {
+  const { status, body } = await postXml(syncStyleBod('infor-nid:MOCK_TST:1:4003', 4003, 'mehmet.y'));
+
+  assert.equal(status, 202);
+  assert.equal(body.format, 'xml');
+  assert.equal(body.documentName, 'SyncStyle');
+  assert.equal(body.eventId, 'infor-nid:MOCK_TST:1:4003');
+
+  const job = await stack.waitForJob(body.statusUrl);
+  assert.equal(job.result.newStyleCode, 'TW7270004003');
+  assert.equal(job.payload.requestedBy, 'mehmet.y');
+});
+
+test('a redelivered event returns the job it created the first time', async () => {
+  const patchesBefore = stack.mock.patches.length;
+
+  const { status, body } = await postXml(syncStyleBod('infor-nid:MOCK_TST:1:4003', 4003, 'mehmet.y'));
+
+  assert.equal(status, 202);
+  assert.equal(body.deduplicated, true);
+  assert.equal(body.status, 'completed');
+  assert.equal(stack.mock.patches.length, patchesBefore);
+});
+
+test('StyleId and user are read from the configured paths', async () => {
+  const { status, body } = await stack.request('POST', '/api/ion/events', {
+    entity: { type: 'Style', properties: { PlmStyleId: 4004, ChangedBy: 'zeynep.d' } }
+  });
+
+  assert.equal(status, 202);
+  assert.equal(body.eventId, null);
+
+  const job = await stack.waitForJob(body.statusUrl);
+  assert.equal(job.result.newStyleCode, 'TW7270004004');
+  assert.equal(job.payload.requestedBy, 'zeynep.d');
+});
+
+test('events without a StyleId are rejected so ION does not retry them', async () => {
+  const missing = await stack.request('POST', '/api/ion/events', { data: { StyleCode: 'TW7270004001' } });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /No StyleId/);
+  assert.deepEqual(missing.body.styleIdPaths, ['data.StyleId', 'DataArea.Style.StyleId', 'entity.properties.PlmStyleId']);
+
+  const invalid = await stack.request('POST', '/api/ion/events', { data: { StyleId: 'not-a-style' } });
+  assert.equal(invalid.status, 400);
+
+  const malformed = await postXml('<SyncStyle><DataArea><Style><StyleId>4005</StyleId></DataArea></SyncStyle>');
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.body.error, /Malformed XML/);
+});
+
+test('pathological XML is rejected quickly', async () => {
+  for (const body of ['<'.repeat(20000), `<a>${'<b>'.repeat(20000)}`, `<a>${'<b>'.repeat(1000)}${'</b>'.repeat(1000)}</a>`]) {
+    const startedAt = Date.now();
+    const { status, body: response } = await postXml(body);
+
+    assert.equal(status, 400);
+    assert.match(response.error, /Malformed XML/);
+    assert.ok(Date.now() - startedAt < 500, `took ${Date.now() - startedAt}ms`);
+  }
+});
+
+test('JSON events are read up to the ION body limit and larger ones get 413', async () => {
+  // Parsed (the event is read and found to hold no StyleId) rather than refused by the global 100kb JSON limit
+  const large = await stack.request('POST', '/api/ion/events', { data: { Description: 'x'.repeat(200 * 1024) } });
+  assert.equal(large.status, 400);
+  assert.match(large.body.error, /No StyleId/);
+
+  const tooLarge = await stack.request('POST', '/api/ion/events', { data: { StyleId: 4002, Description: 'x'.repeat(300 * 1024) } });
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.success, false);
+
+  const tooLargeXml = await postXml(`<SyncStyle><DataArea>${'x'.repeat(300 * 1024)}</DataArea></SyncStyle>`);
+  assert.equal(tooLargeXml.status, 413);
+});
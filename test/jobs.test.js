@@ -0,0 +1,181 @@
+/**
+ * Async jobs and batches against the mock PLM
+ */
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  stack = await startStack({ env: { WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' } });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+test('async assignment returns a job that completes with the result', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4002 });
+
+  assert.equal(status, 200);
+  assert.ok(body.jobId);
+  assert.equal(body.statusUrl, `/api/job/${body.jobId}`);
+
+  const job = await stack.waitForJob(body.statusUrl);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.newStyleCode, 'TW7270004002');
+  assert.equal(stack.mock.getStyle(4002).StyleCode, 'TW7270004002');
+});
+
+test('a second async request for a busy style returns the same job', async () => {
+  // Keep the first job running while the second request arrives
+  stack.mock.setLatency('patch', 200);
+
+  try {
+    const first = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4003 });
+    const second = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4003 });
+
+    assert.equal(second.body.deduplicated, true);
+    assert.equal(second.body.jobId, first.body.jobId);
+
+    // A caller with its own callback cannot join a job that posts to someone else's
+    const withCallback = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4003, callbackUrl: 'http://127.0.0.1:9/hook' });
+    assert.equal(withCallback.status, 409);
+    assert.equal(withCallback.body.jobId, first.body.jobId);
+
+    const job = await stack.waitForJob(first.body.statusUrl);
+    assert.equal(job.result.newStyleCode, 'TW7270004003');
+    assert.equal(stack.mock.patches.filter(p => p.styleId === 4003).length, 1);
+  } finally {
+    stack.mock.setLatency('patch', 0);
+  }
+});
+
+test('an async batch reuses the active job of a busy style', async () => {
+  stack.mock.setLatency('patch', 200);
+
+  try {
+    const single = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 5002 });
+    const { body } = await stack.request('POST', '/api/stylecode/assign/batch/async', { styleIds: [5002, 5003] });
+
+    assert.deepEqual(body.deduplicatedStyleIds, [5002]);
+    assert.equal(body.jobIds[0], single.body.jobId);
+
+    const batch = await stack.waitForJob(body.statusUrl);
+    assert.equal(batch.summary.completed, 2);
+    assert.equal(stack.mock.patches.filter(p => p.styleId === 5002).length, 1);
+  } finally {
+    stack.mock.setLatency('patch', 0);
+  }
+});
+
+test('a failed async job records the error and its type', async () => {
+  const { body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 888888 });
+
+  const job = await stack.waitForJob(body.statusUrl);
+
+  assert.equal(job.status, 'failed');
+  assert.ok(job.error);
+  assert.equal(job.errorType, 'permanent');
+});
+
+test('a job whose partition cannot be resolved fails as transient without running', async () => {
+  stack.mock.failNext('query', { status: 503, times: 4 });
+
+  const { body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 1003 });
+  const job = await stack.waitForJob(body.statusUrl);
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.errorType, 'transient');
+  assert.equal(stack.mock.getStyle(1003).StyleCode, null);
+});
+
+test('sync batch assigns consecutive sequences and reports each style', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign/batch', { styleIds: [4004, 'StyleId eq 4005', 777777] });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { total: 3, succeeded: 2, failed: 1 });
+
+  const codes = body.results.filter(r => r.success !== false).map(r => r.newStyleCode).sort();
+  assert.deepEqual(codes, ['TW7270004004', 'TW7270004005']);
+  assert.equal(body.results.find(r => r.styleId === 777777).success, false);
+});
+
+test('async batch tracks progress and exports results as CSV', async () => {
+  stack.mock.putStyle({ StyleId: 4007, StyleCode: null, BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 43 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign/batch/async', { styleIds: [4006, 4007, 4001] });
+
+  assert.equal(status, 200);
+  assert.equal(body.total, 3);
+  assert.equal(body.jobIds.length, 3);
+
+  const batch = await stack.waitForJob(body.statusUrl);
+
+  assert.equal(batch.status, 'completed');
+  assert.equal(batch.summary.total, 3);
+  assert.equal(batch.summary.completed, 3);
+  // 4001 holds a sequence below the current maximum, so it is renumbered rather than skipped
+  assert.equal(batch.summary.assigned, 3);
+  const codes = batch.results.map(row => row.newStyleCode).sort();
+  assert.deepEqual(codes, ['TW7270004006', 'TW7270004007', 'TW7270004008']);
+
+  const csv = await stack.request('GET', `${body.statusUrl}?format=csv`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.equal(csv.text.trim().split('\n').length, 4);
+});
+
+test('callback URLs pointing to internal addresses are refused', async () => {
+  for (const callbackUrl of ['http://169.254.169.254/latest/meta-data', 'http://localhost:3000/hook', 'http://10.0.0.5/hook']) {
+    const { status, body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4008, callbackUrl });
+    assert.equal(status, 400, callbackUrl);
+    assert.match(body.error, /loopback, private or link-local/);
+  }
+});
+
+test('the result is posted to an allowed callback URL', async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(raw) });
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    stack.mock.putStyle({ StyleId: 4008, StyleCode: null, BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 43 });
+    const callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    const { status, body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 4008, callbackUrl });
+    assert.equal(status, 200);
+    await stack.waitForJob(body.statusUrl);
+
+    const deadline = Date.now() + 5000;
+    while (received.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-stylecode-event'], 'job.completed');
+    assert.equal(received[0].body.job.result.newStyleCode, 'TW7270004009');
+  } finally {
+    receiver.close();
+  }
+});
+
+test('metrics count finished jobs by status', async () => {
+  const { status, text } = await stack.request('GET', '/metrics');
+
+  assert.equal(status, 200);
+  assert.match(text, /stylecode_jobs_finished_total\{type="stylecode_assignment",status="completed"\} \d+/);
+  assert.match(text, /stylecode_jobs_finished_total\{type="stylecode_assignment",status="failed"\} 2/);
+  assert.match(text, /stylecode_plm_request_duration_seconds_count\{operation="patch",outcome="success"\} \d+/);
+});
@@ -0,0 +1,125 @@
+/**
+ * StyleCode numbering against the mock PLM: next sequence, skip logic, prefix scopes and the ledger
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, ADMIN_KEY } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  stack = await startStack();
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+test('preview proposes the next sequence without writing to PLM', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/preview', { styleId: 1003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.proposedStyleCode, 'TW6260004111');
+  assert.equal(stack.mock.patches.length, 0);
+  assert.equal(stack.mock.getStyle(1003).StyleCode, null);
+});
+
+test('assigns max sequence + 1, patches the style and syncs search data', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 'StyleId eq 1003' });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.skipped, false);
+  assert.equal(body.data.newStyleCode, 'TW6260004111');
+  assert.equal(body.data.patternSpecNumber, 'TW6260004111');
+  assert.equal(body.data.syncedToSearchData, true);
+
+  const style = stack.mock.getStyle(1003);
+  assert.equal(style.StyleCode, 'TW6260004111');
+  assert.equal(style.PatternSpecNumber, 'TW6260004111');
+
+  const syncTask = stack.mock.tasks.find(task => task.TaskId === 'syncSearchData');
+  assert.ok(syncTask, 'syncSearchData task sent');
+});
+
+test('ignores other brands and deleted styles in the same season and category', async () => {
+  // IW6260004150 (other brand) and TW6260004190 (deleted) would both raise the sequence
+  const { body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1004 });
+
+  assert.equal(body.data.newStyleCode, 'TW6260004112');
+});
+
+test('continues from the ledger without reading the scope from PLM again', async () => {
+  const requestsBefore = stack.mock.requests.length;
+
+  const { body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1005 });
+
+  assert.equal(body.data.newStyleCode, 'TW6260004113');
+  // Only the style itself was read, not the styles of its season and category
+  const scopeQueries = stack.mock.requests.slice(requestsBefore)
+    .filter(r => r.operation === 'query' && r.query.$filter.includes('SeasonId'));
+  assert.equal(scopeQueries.length, 0);
+
+  const ledger = await stack.request('GET', '/api/ledger');
+  const entry = ledger.body.data.find(e => e.scope === body.data.sequenceScope);
+  assert.equal(entry.lastSequence, 113);
+});
+
+test('skips a style that already holds the highest sequence', async () => {
+  const patchesBefore = stack.mock.patches.length;
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1005 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.skipped, true);
+  assert.equal(body.data.currentStyleCode, 'TW6260004113');
+  assert.equal(stack.mock.patches.length, patchesBefore);
+});
+
+test('renumbers a style holding a lower sequence', async () => {
+  const { body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1002 });
+
+  assert.equal(body.data.skipped, false);
+  assert.equal(body.data.oldStyleCode, 'TW6260004108');
+  assert.equal(body.data.newStyleCode, 'TW6260004114');
+});
+
+test('rollback restores the previous code and releases the sequence', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/rollback', { styleId: 1002 }, { key: ADMIN_KEY });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.restoredStyleCode, 'TW6260004108');
+  assert.equal(body.data.sequenceReleased, true);
+  assert.equal(stack.mock.getStyle(1002).StyleCode, 'TW6260004108');
+
+  const ledger = await stack.request('GET', '/api/ledger');
+  const entry = ledger.body.data.find(e => e.scope === body.data.sequenceScope);
+  assert.equal(entry.lastSequence, 113);
+});
+
+test('rejects a missing StyleId', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', {});
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('reports a style PLM does not know as a failure', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 999999 });
+
+  assert.equal(status, 500);
+  assert.equal(body.success, false);
+  assert.equal(stack.mock.patches.filter(p => p.styleId === 999999).length, 0);
+});
+
+test('audit export covers a date-only "to" day and neutralises formula cells', async () => {
+  await stack.request('POST', '/api/stylecode/assign', { styleId: 1004 }, { headers: { 'X-Requested-By': '=HYPERLINK("http://example.com")' } });
+  const today = new Date().toISOString().slice(0, 10);
+
+  const json = await stack.request('GET', `/api/audit?styleId=1004&to=${today}`);
+  assert.equal(json.status, 200);
+  assert.ok(json.body.data.length > 0);
+
+  const csv = await stack.request('GET', `/api/audit?styleId=1004&to=${today}&format=csv`);
+  assert.match(csv.text, /,"'=HYPERLINK\(""http:\/\/example.com""\)",/);
+});
@@ -0,0 +1,43 @@
+/**
+ * OData paging against a mock PLM that caps page sizes below the $top asked for
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  // Scopes hold more rows than one $top asks for, and the mock never returns more than 2 rows at once
+  stack = await startStack({ env: { PLM_ODATA_PAGE_SIZE: '3' }, mock: { pageSize: 2, nextLinks: false } });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+test('keeps reading when the server truncates pages without a nextLink', async () => {
+  // Sorted by StyleId this is the last row of the scope, well past the first capped page
+  stack.mock.putStyle({ StyleId: 5010, StyleCode: 'TW7270012020', BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 44 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 5002 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW7270012021');
+  // 4 rows in 2 full pages, then an empty page
+  assert.equal(body.data.pagesScanned, 3);
+});
+
+test('follows nextLinks and keeps reading past the $top the chain was capped to', async () => {
+  stack.mock.setPaging(2);
+  stack.mock.putStyle({ StyleId: 1020, StyleCode: 'TW6260004130', BrandId: 8, SeasonId: 10, ProductSubSubCategoryId: 43 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW6260004131');
+  // 7 rows (1001-1005, 1010 and 1020) in two nextLink chains of 2 + 1 rows, then the last row and an empty page
+  assert.equal(body.data.pagesScanned, 6);
+  assert.equal(body.data.rowsScanned, 7);
+});
@@ -0,0 +1,214 @@
+/**
+ * Temp code retries, transient PLM failures and token handling against the mock PLM
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, ADMIN_KEY } = require('./helpers');
+
+let stack;
+
+before(async () => {
+  stack = await startStack({ env: { SYNC_RETRY_BASE_MS: '200', SYNC_RETRY_MAX_ATTEMPTS: '2' } });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+/**
+ * Poll until a check passes
+ */
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * Scope reads (season + category queries) sent since a request index
+ */
+// First page of each scope query; every read also asks for the (empty) page after the last row
+function scopeReads(since) {
+  return stack.mock.requests.slice(since)
+    .filter(r => r.operation === 'query' && r.query.$filter.includes('SeasonId') && Number(r.query.$skip || 0) === 0);
+}
+
+test('waits for a temp code to settle and numbers after it', async () => {
+  const since = stack.mock.requests.length;
+
+  // 2002 carries a temp code that becomes TS6270004025 after one read;
+  // numbering from the first read would give TS6270004021
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 2003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TS6270004026');
+  assert.equal(scopeReads(since).length, 2);
+});
+
+test('does not wait for codes that are not PLM temp codes', async () => {
+  stack.mock.putStyle({ StyleId: 6001, StyleCode: 'W25ETEK0042', BrandId: 8, SeasonId: 10, ProductSubSubCategoryId: 44 });
+  stack.mock.putStyle({ StyleId: 6002, StyleCode: null, BrandId: 8, SeasonId: 10, ProductSubSubCategoryId: 44 });
+  const since = stack.mock.requests.length;
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 6002 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW6260012001');
+  assert.equal(scopeReads(since).length, 1);
+  assert.ok(body.data.ignoredStyles.some(style => style.StyleId === 6001));
+});
+
+test('ignores a temp code that never settles after three reads', async () => {
+  const since = stack.mock.requests.length;
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 3003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TS6270012008');
+  assert.equal(scopeReads(since).length, 3);
+  assert.ok(body.data.ignoredStyles.some(style => style.StyleId === 3002));
+});
+
+test('retries reads that fail with a transient error', async () => {
+  stack.mock.failNext('query', { status: 503, times: 2 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 5002 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW7270012011');
+});
+
+test('reports a permanent PLM error without retrying it', async () => {
+  stack.mock.failNext('patch', { status: 400, times: 1 });
+  const since = stack.mock.requests.length;
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 5003 });
+
+  assert.equal(status, 500);
+  assert.equal(body.errorType, 'permanent');
+  assert.equal(stack.mock.requests.slice(since).filter(r => r.operation === 'patch').length, 1);
+  assert.equal(stack.mock.getStyle(5003).StyleCode, null);
+});
+
+test('a task whose partition cannot be resolved fails instead of running outside it', async () => {
+  // The first attempt and every retry of the style read that picks the partition
+  stack.mock.failNext('query', { status: 503, times: 4 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 4002 });
+
+  assert.equal(status, 500);
+  assert.equal(body.errorType, 'transient');
+  assert.equal(stack.mock.patches.filter(p => p.styleId === 4002).length, 0);
+  assert.equal(stack.mock.getStyle(4002).StyleCode, null);
+});
+
+test('fetches a new token when ION API rejects the cached one', async () => {
+  const issuedBefore = stack.mock.tokensIssued;
+  stack.mock.expireTokens();
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 5003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW7270012012');
+  assert.equal(stack.mock.tokensIssued, issuedBefore + 1);
+});
+
+test('concurrent requests share one token request', async () => {
+  const issuedBefore = stack.mock.tokensIssued;
+  stack.mock.expireTokens();
+
+  const responses = await Promise.all([1001, 2001, 3001, 4001].map(styleId =>
+    stack.request('POST', '/api/stylecode/preview', { styleId })
+  ));
+
+  for (const { status } of responses) {
+    assert.equal(status, 200);
+  }
+  assert.equal(stack.mock.tokensIssued, issuedBefore + 1);
+});
+
+test('a token endpoint outage is retried as a transient failure', async () => {
+  const issuedBefore = stack.mock.tokensIssued;
+  stack.mock.expireTokens();
+  stack.mock.failNext('token', { status: 503, times: 2 });
+
+  const { status } = await stack.request('POST', '/api/stylecode/preview', { styleId: 1001 });
+
+  assert.equal(status, 200);
+  assert.equal(stack.mock.tokensIssued, issuedBefore + 1);
+});
+
+test('a token endpoint that stays down is retried until the retry budget runs out', async () => {
+  stack.mock.expireTokens();
+  stack.mock.failNext('token', { status: 503, times: 3 });
+  const since = stack.mock.requests.length;
+
+  const { status } = await stack.request('POST', '/api/stylecode/preview', { styleId: 1001 });
+
+  assert.equal(status, 500);
+  // The 401 that dropped the old token, then three failed token requests
+  assert.equal(stack.mock.requests.slice(since).filter(r => r.operation === 'token').length, 3);
+});
+
+test('a failed sync does not fail the assignment', async () => {
+  stack.mock.failNext('tasks', { status: 500, times: 1 });
+  stack.mock.putStyle({ StyleId: 5004, StyleCode: null, BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 44 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 5004 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'TW7270012013');
+  assert.equal(body.data.syncedToSearchData, false);
+  assert.equal(body.data.syncRetry.status, 'pending');
+
+  const failures = await stack.request('GET', '/api/sync/failures');
+  const entry = failures.body.data.find(e => e.styleId === 5004);
+  assert.equal(entry.styleCode, 'TW7270012013');
+  assert.equal(entry.source, 'assign');
+  assert.equal(entry.statusCode, 500);
+});
+
+test('a queued sync is retried with backoff and the job result becomes synced', async () => {
+  stack.mock.failNext('tasks', { status: 503, times: 1 });
+  stack.mock.putStyle({ StyleId: 5005, StyleCode: null, BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 44 });
+
+  const { body } = await stack.request('POST', '/api/stylecode/assign/async', { styleId: 5005 });
+  const job = await stack.waitForJob(body.statusUrl);
+  assert.equal(job.result.syncedToSearchData, false);
+
+  await eventually(async () => {
+    const { body: failures } = await stack.request('GET', '/api/sync/failures');
+    return !failures.data.some(e => e.styleId === 5005);
+  });
+
+  const { body: after } = await stack.request('GET', body.statusUrl);
+  assert.equal(after.data.result.syncedToSearchData, true);
+  assert.equal(stack.mock.tasks.filter(task => task.CustomData.some(d => d.key === 'moduleId' && d.value === '5005')).length, 1);
+});
+
+test('an exhausted sync stays failed until it is replayed', async () => {
+  stack.mock.failNext('tasks', { status: 500, times: 2 });
+  stack.mock.putStyle({ StyleId: 5006, StyleCode: null, BrandId: 8, SeasonId: 12, ProductSubSubCategoryId: 44 });
+
+  await stack.request('POST', '/api/stylecode/assign', { styleId: 5006 });
+
+  await eventually(async () => {
+    const { body } = await stack.request('GET', '/api/sync/failures?status=failed');
+    return body.data.some(e => e.styleId === 5006 && e.attempts === 2 && e.nextAttemptAt === null);
+  });
+
+  const denied = await stack.request('POST', '/api/sync/failures/5006/replay');
+  assert.equal(denied.status, 403);
+
+  const { status, body } = await stack.request('POST', '/api/sync/failures/5006/replay', null, { key: ADMIN_KEY });
+  assert.equal(status, 200);
+  assert.equal(body.data.synced, true);
+
+  const missing = await stack.request('POST', '/api/sync/failures/5006/replay', null, { key: ADMIN_KEY });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,81 @@
+/**
+ * StyleCode templates with padded and punctuated field values against the mock PLM
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, ADMIN_KEY } = require('./helpers');
+
+let stack;
+let templatesDir;
+
+before(async () => {
+  templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stylecode-templates-'));
+  const templatesFile = path.join(templatesDir, 'templates.json');
+
+  fs.writeFileSync(templatesFile, JSON.stringify({
+    // Category code padded to 5 characters with "_": T004__001
+    default: {
+      name: 'padded',
+      segments: [
+        { type: 'field', source: 'Brand.Code', start: 0, length: 1, uppercase: true },
+        { type: 'field', source: 'ProductSubSubCategory.Code', start: 0, length: 5, padChar: '_', padSide: 'right' },
+        { type: 'sequence', width: 3 }
+      ]
+    },
+    brands: {},
+    // Season.Name "W727-FW 27/28": its first 6 characters hold a hyphen
+    brandSeasons: {
+      'T005/48': {
+        name: 'season-name',
+        segments: [
+          { type: 'field', source: 'Season.Name', start: 0, length: 6, uppercase: true },
+          { type: 'sequence', width: 3 }
+        ]
+      }
+    }
+  }));
+
+  stack = await startStack({ env: { STYLECODE_TEMPLATES_FILE: templatesFile } });
+});
+
+after(async () => {
+  await stack.stop();
+  fs.rmSync(templatesDir, { recursive: true, force: true });
+});
+
+test('a field padded with a non-alphanumeric padChar is matched by its own template', async () => {
+  stack.mock.putStyle({ StyleId: 1020, StyleCode: 'T004__007', BrandId: 8, SeasonId: 10, ProductSubSubCategoryId: 43 });
+
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 1003 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.newStyleCode, 'T004__008');
+
+  // Codes of this layout pass the template's own format check
+  const override = await stack.request('POST', '/api/stylecode/set', { styleId: 1004, styleCode: 'T004__020' }, { key: ADMIN_KEY });
+  assert.equal(override.status, 200);
+  assert.equal(stack.mock.getStyle(1004).StyleCode, 'T004__020');
+});
+
+test('a field value with punctuation is refused instead of giving a code the template cannot match', async () => {
+  const { status, body } = await stack.request('POST', '/api/stylecode/assign', { styleId: 4002 });
+
+  assert.equal(status, 500);
+  assert.match(body.error, /only letters, digits/);
+  assert.equal(stack.mock.getStyle(4002).StyleCode, null);
+});
+
+test('templates with an unusable padChar are rejected', () => {
+  const templateService = require('../templateService');
+
+  assert.throws(() => templateService.compile({
+    segments: [{ type: 'field', source: 'Brand.Code', length: 3, padChar: '--' }, { type: 'sequence', width: 3 }]
+  }, 'test'), /single character/);
+  assert.throws(() => templateService.compile({
+    segments: [{ type: 'field', source: 'Brand.Code', length: 3 }, { type: 'sequence', width: 3, padChar: 'X' }]
+  }, 'test'), /must be a digit/);
+});
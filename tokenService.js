@@ -1,9 +1,18 @@
 const axios = require('axios');
+const configService = require('./configService');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child({ component: 'token' });
+
+const tokenFetches = metrics.counter('token_fetches_total', 'Access token requests sent to the ION token endpoint', {
+  labelNames: ['outcome']
+});
 
 /**
  * PLM Token Service
  * Infor CloudSuite OAuth2.0 Token Management
- * Environment: TEST (ATJZAMEWEF5P4SNV_TST)
+ * Credentials come from configService (.ionapi file / environment variables)
  */
 
 class TokenService {
@@ -12,40 +21,58 @@ class TokenService {
     this.accessToken = null;
     this.tokenExpiry = null;
     this.tokenType = null;
+    // Token request in flight, shared by every caller that needs a new token meanwhile
+    this.pendingToken = null;
+    // Same limit as PLM calls: a hung token endpoint would otherwise hold up every caller sharing the request
+    this.timeoutMs = parseInt(process.env.PLM_HTTP_TIMEOUT_MS || '20000', 10);
+
+    log.info('Token service initialized', { tenantId: this.config.tenantId || null });
+  }
 
-    // Configuration from BackendServisi.ionapi
-    this.config = {
-      tenantId: 'ATJZAMEWEF5P4SNV_TST',
-      clientName: 'BackendServisi',
-      clientId: 'ATJZAMEWEF5P4SNV_TST~vlWkwz2P74KAmRFfihVsdK5yjnHvnfPUrcOt4nl6gkI',
-      clientSecret: 'HU1TUcBOX1rkp-uuYKUQ3simFEYzPKNM-XIyf4ewIxe-TYUZOK7RAlXUPd_FwSZMAslt8I9RZmv23xItVKY8EQ',
-      serviceAccountAccessKey: 'ATJZAMEWEF5P4SNV_TST#g2AkIdNc1h68LWFR5bW16K1GqPN1fNcANBxCSWt7o5HkeHtEHaj5nt8jkp93B7Pz-FlipOUm_MjUPuR-4SehRA',
-      serviceAccountSecretKey: 'dPomgd9MprgndvOBxBULqFGIjyKzGtOM6nQHF8jNSH-L5rvrzn9rTbEo_kIPBIYwxQfizkkQW0HAHKDHoR5CSQ',
-      ionApiUrl: 'https://mingle-ionapi.eu1.inforcloudsuite.com',
-      providerUrl: 'https://mingle-sso.eu1.inforcloudsuite.com:443/ATJZAMEWEF5P4SNV_TST/as/',
+  /**
+   * Configuration of the active environment profile
+   * @returns {Object} Config
+   */
+  get config() {
+    return {
+      tenantId: configService.get('tenantId'),
+      clientName: configService.get('clientName'),
+      clientId: configService.get('clientId'),
+      clientSecret: configService.get('clientSecret'),
+      serviceAccountAccessKey: configService.get('serviceAccountAccessKey'),
+      serviceAccountSecretKey: configService.get('serviceAccountSecretKey'),
+      ionApiUrl: configService.get('ionApiUrl'),
+      providerUrl: configService.get('providerUrl'),
       endpoints: {
-        authorization: 'authorization.oauth2',
-        token: 'token.oauth2',
-        revoke: 'revoke_token.oauth2'
+        authorization: configService.get('authorizationEndpoint'),
+        token: configService.get('tokenEndpoint'),
+        revoke: configService.get('revokeEndpoint')
       }
     };
-
-    console.log('🔧 Token Service initialized for:', this.config.tenantId);
   }
 
   /**
    * Get access token (from cache or fetch new one)
+   * Concurrent callers share a single token request
    * @returns {Promise<string>} Access token
    */
   async getAccessToken() {
     // Check if token exists and is still valid
     if (this.accessToken && this.isTokenValid()) {
-      console.log('✅ Using cached access token');
+      log.debug('Using cached access token');
       return this.accessToken;
     }
 
-    console.log('🔄 Fetching new access token...');
-    return await this.fetchNewToken();
+    if (!this.pendingToken) {
+      log.info('Fetching new access token');
+      this.pendingToken = this.fetchNewToken().finally(() => {
+        this.pendingToken = null;
+      });
+    } else {
+      log.debug('Waiting for the token request in flight');
+    }
+
+    return await this.pendingToken;
   }
 
   /**
@@ -83,10 +110,9 @@ class TokenService {
         `${this.config.clientId}:${this.config.clientSecret}`
       ).toString('base64');
 
-      console.log('🔐 Token Request URL:', tokenUrl);
-      console.log('🔐 Client ID:', this.config.clientId);
-      
+
       const response = await axios.post(tokenUrl, params, {
+        timeout: this.timeoutMs,
         headers: {
           'Authorization': `Basic ${auth}`,
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -101,11 +127,13 @@ class TokenService {
         const expiresIn = response.data.expires_in || 3600; // Default 1 hour
         this.tokenExpiry = Date.now() + (expiresIn * 1000);
 
-        const expiryDate = new Date(this.tokenExpiry);
-        console.log('✅ Access token acquired successfully');
-        console.log(`⏰ Token expires at: ${expiryDate.toISOString()}`);
-        console.log(`📝 Token type: ${this.tokenType}`);
-        console.log(`⏱️  Expires in: ${expiresIn} seconds (${Math.floor(expiresIn / 60)} minutes)`);
+        tokenFetches.inc({ outcome: 'success' });
+        log.info('Access token acquired', {
+          tokenUrl,
+          tokenType: this.tokenType,
+          expiresInSeconds: expiresIn,
+          expiresAt: new Date(this.tokenExpiry).toISOString()
+        });
 
         return this.accessToken;
       } else {
@@ -113,15 +141,36 @@ class TokenService {
       }
 
     } catch (error) {
-      console.error('❌ Error fetching access token:', error.message);
-      
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      
-      throw new Error(`Failed to acquire access token: ${error.message}`);
+      tokenFetches.inc({ outcome: 'failure' });
+      log.error('Error fetching access token', {
+        error,
+        responseData: error.response ? error.response.data : null
+      });
+
+      // code and response are kept so plmClient can tell an outage (transient) from bad credentials
+      const tokenError = new Error(`Failed to acquire access token: ${error.message}`);
+      tokenError.code = error.code;
+      tokenError.response = error.response;
+      throw tokenError;
+    }
+  }
+
+  /**
+   * Drop the cached token so the next call fetches a new one
+   * Used when ION API rejects a token before its expiry time
+   * @param {string} rejectedHeader - Authorization header that was rejected (optional); when the
+   *   cache already holds a newer token (another caller refreshed it), that token is kept
+   */
+  invalidateToken(rejectedHeader = null) {
+    if (rejectedHeader && this.accessToken && rejectedHeader !== `${this.tokenType} ${this.accessToken}`) {
+      log.debug('Rejected token already replaced, keeping the cached one');
+      return;
     }
+
+    log.info('Invalidating cached access token');
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.tokenType = null;
   }
 
   /**
@@ -139,7 +188,7 @@ class TokenService {
    */
   async revokeToken() {
     if (!this.accessToken) {
-      console.log('ℹ️  No token to revoke');
+      log.debug('No token to revoke');
       return;
     }
 
@@ -160,7 +209,7 @@ class TokenService {
         }
       });
 
-      console.log('✅ Token revoked successfully');
+      log.info('Token revoked');
       
       // Clear cached token
       this.accessToken = null;
@@ -168,7 +217,7 @@ class TokenService {
       this.tokenType = null;
 
     } catch (error) {
-      console.error('❌ Error revoking token:', error.message);
+      log.error('Error revoking token', { error });
       throw new Error(`Failed to revoke token: ${error.message}`);
     }
   }
@@ -178,14 +227,14 @@ class TokenService {
    * @returns {Promise<string>} New access token
    */
   async refreshToken() {
-    console.log('🔄 Forcing token refresh...');
+    log.info('Forcing token refresh');
     
     // Revoke current token if exists
     if (this.accessToken) {
       try {
         await this.revokeToken();
       } catch (error) {
-        console.warn('⚠️  Failed to revoke old token, continuing with new token fetch');
+        log.warn('Failed to revoke old token, continuing with new token fetch', { error });
       }
     }
     
@@ -204,7 +253,7 @@ class TokenService {
    */
   getTokenInfo() {
     const info = {
-      environment: 'TEST',
+      environment: configService.environment,
       tenantId: this.config.tenantId,
       clientName: this.config.clientName,
       hasToken: !!this.accessToken,
@@ -231,11 +280,15 @@ class TokenService {
    */
   getConfigInfo() {
     return {
-      environment: 'TEST',
+      environment: configService.environment,
+      profile: configService.profile,
+      sources: configService.sources,
       tenantId: this.config.tenantId,
       clientName: this.config.clientName,
       ionApiUrl: this.config.ionApiUrl,
       providerUrl: this.config.providerUrl,
+      plmBaseUrl: configService.get('plmBaseUrl'),
+      jobTasksUrl: configService.get('jobTasksUrl'),
       endpoints: this.config.endpoints
     };
   }
@@ -244,4 +297,9 @@ class TokenService {
 // Create singleton instance
 const tokenService = new TokenService();
 
+// No sample while no token is cached (tokens are fetched on first use)
+metrics.gauge('token_expiry_seconds', 'Seconds until the cached access token expires', {
+  collect: () => (tokenService.accessToken && tokenService.tokenExpiry ? Math.max(0, (tokenService.tokenExpiry - Date.now()) / 1000) : NaN)
+});
+
 module.exports = tokenService;
@@ -0,0 +1,290 @@
+/**
+ * Webhook Service
+ * POSTs async job results to the caller's callbackUrl when a job completes or fails
+ * Payloads are signed with HMAC-SHA256, failed deliveries are retried with backoff
+ *
+ * Callbacks to loopback, private, link-local (cloud metadata) and other internal addresses are refused,
+ * both when the URL is given and when its host name is resolved for delivery, unless the host is
+ * listed in WEBHOOK_ALLOWED_HOSTS (comma separated host names / IPs)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const jobService = require('./jobService');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'webhook' });
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Is an IP address internal (loopback, private, link-local, ...)?
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isInternalAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1)
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isInternalAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+    this.baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+    this.maxDelayMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || `${5 * 60 * 1000}`, 10);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.defaultSecret = process.env.WEBHOOK_SECRET || null;
+    this.allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+
+    // Checks every address the callback host resolves to, at connect time (covers DNS rebinding)
+    const lookup = (hostname, options, callback) => this.lookupPublicAddress(hostname, options, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+
+    jobService.on('statusChanged', job => {
+      if (job.webhook && TERMINAL_STATUSES.includes(job.status)) {
+        this.scheduleDelivery(job.id, 0);
+      }
+    });
+  }
+
+  /**
+   * Validate a callback URL supplied by a caller
+   * @param {string} callbackUrl - Callback URL
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return 'callbackUrl is not a valid URL';
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return 'callbackUrl must be an http(s) URL';
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.isAllowedHost(hostname)) {
+      return null;
+    }
+
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || isInternalAddress(hostname)) {
+      return 'callbackUrl must not point to a loopback, private or link-local address';
+    }
+
+    return null;
+  }
+
+  /**
+   * Is a host explicitly allowed as callback target (WEBHOOK_ALLOWED_HOSTS)?
+   * @param {string} hostname - Host name or IP
+   * @returns {boolean}
+   */
+  isAllowedHost(hostname) {
+    return this.allowedHosts.includes(hostname.toLowerCase());
+  }
+
+  /**
+   * dns.lookup replacement for the delivery agents: fails when the host resolves to an internal address
+   */
+  lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      if (!this.isAllowedHost(hostname)) {
+        const internal = addresses.find(entry => isInternalAddress(entry.address));
+        if (internal) {
+          const refused = new Error(`Callback host ${hostname} resolves to internal address ${internal.address}`);
+          refused.code = 'EWEBHOOKBLOCKED';
+          return callback(refused);
+        }
+      }
+
+      if (options && options.all) {
+        return callback(null, addresses);
+      }
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Compute the signature header value for a payload
+   * Signed content: "{timestamp}.{body}"
+   * @param {string} secret - Shared secret
+   * @param {string} timestamp - Unix timestamp (seconds)
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature ("sha256=<hex>")
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Backoff delay before a given attempt
+   * @param {number} attempt - Attempt number (1 = first retry)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempt - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Schedule a delivery attempt
+   * @param {string} jobId - Job ID
+   * @param {number} delayMs - Delay before the attempt
+   */
+  scheduleDelivery(jobId, delayMs) {
+    const timer = setTimeout(() => {
+      this.deliver(jobId).catch(error => {
+        log.error('Webhook delivery error', { jobId, error });
+      });
+    }, delayMs);
+
+    timer.unref();
+  }
+
+  /**
+   * Deliver a job's result to its callback URL (one attempt)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async deliver(jobId) {
+    const job = jobService.getJob(jobId);
+    if (!job || !job.webhook || job.webhook.status === 'delivered') {
+      return false;
+    }
+
+    const body = JSON.stringify({
+      event: `job.${job.status}`,
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        payload: job.payload,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
+    });
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-StyleCode-Event': `job.${job.status}`,
+      'X-StyleCode-Job-Id': job.id,
+      'X-StyleCode-Timestamp': timestamp
+    };
+
+    const secret = jobService.getCallbackSecret(jobId) || this.defaultSecret;
+    if (secret) {
+      headers['X-StyleCode-Signature'] = this.sign(secret, timestamp, body);
+    }
+
+    const attemptNumber = job.webhook.attempts.length + 1;
+    const startedAt = Date.now();
+    const attempt = {
+      attempt: attemptNumber,
+      at: new Date(startedAt).toISOString(),
+      statusCode: null,
+      error: null,
+      durationMs: null
+    };
+
+    log.info('Webhook delivery', { jobId, attempt: attemptNumber, maxAttempts: this.maxAttempts, url: job.webhook.url });
+
+    try {
+      const response = await axios.post(job.webhook.url, body, {
+        headers,
+        timeout: this.timeoutMs,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        // A redirect could lead to an internal address
+        maxRedirects: 0,
+        // Treat any non-2xx as a failed delivery
+        validateStatus: status => status >= 200 && status < 300
+      });
+
+      attempt.statusCode = response.status;
+      attempt.durationMs = Date.now() - startedAt;
+      jobService.recordWebhookAttempt(jobId, attempt, 'delivered');
+
+      log.info('Webhook delivered', { jobId, status: response.status });
+      return true;
+
+    } catch (error) {
+      attempt.statusCode = error.response ? error.response.status : null;
+      attempt.error = error.message;
+      attempt.durationMs = Date.now() - startedAt;
+
+      if (attemptNumber >= this.maxAttempts) {
+        jobService.recordWebhookAttempt(jobId, attempt, 'failed');
+        log.error('Webhook delivery failed permanently', { jobId, attempts: attemptNumber, error });
+        return false;
+      }
+
+      const delay = this.getRetryDelay(attemptNumber);
+      jobService.recordWebhookAttempt(jobId, attempt, 'retrying', new Date(Date.now() + delay).toISOString());
+      log.warn('Webhook delivery failed, retrying', { jobId, attempt: attemptNumber, delayMs: delay, error });
+
+      this.scheduleDelivery(jobId, delay);
+      return false;
+    }
+  }
+
+  /**
+   * Resume deliveries that were still outstanding when the process stopped
+   */
+  resumePendingDeliveries() {
+    const outstanding = jobService.getAllJobs().filter(job =>
+      job.webhook
+      && TERMINAL_STATUSES.includes(job.status)
+      && (job.webhook.status === 'waiting' || job.webhook.status === 'retrying')
+    );
+
+    for (const job of outstanding) {
+      const nextAt = job.webhook.nextAttemptAt ? new Date(job.webhook.nextAttemptAt).getTime() : Date.now();
+      this.scheduleDelivery(job.id, Math.max(0, nextAt - Date.now()));
+    }
+
+    if (outstanding.length > 0) {
+      log.info('Resumed outstanding webhook deliveries', { count: outstanding.length });
+    }
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;